@@ -0,0 +1,75 @@
+/*
+    Sudoku.js benchmark
+    ===================
+
+    Times solving, checking the uniqueness of, and generating hard puzzles, e.g.,
+
+        npm run benchmark
+
+    Time another version of Sudoku.js by passing its path, e.g., the one
+    before the bitmask solver, for the "Before" column of the README:
+
+        git worktree add ../sudokujs-before 49c2112
+        npm run benchmark -- ../sudokujs-before/src/Sudoku.js
+*/
+
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+const module_path = process.argv[2] || new URL('../src/Sudoku.js', 
+	import.meta.url);
+const { default: Sudoku } = await import(typeof module_path === 'string' ?
+	pathToFileURL(resolve(module_path)) : module_path);
+
+// Hard puzzles, for people and for solvers
+const HARD_PUZZLES = {
+	'AI Escargot':
+        '1....7.9..3..2...8..96..5....53..9...1..8...26....4...3......1..4......7..7...3..',
+	'Arto Inkala':
+        '8..........36......7..9.2...5...7.......457.....1...3...1....68..85...1..9....4..',
+	'Easter Monster':
+        '1.......2.9.4...5...6...7...5.9.3.......7.......85..4.7.....6...3...9.8...2.....1',
+	'Norvig\'s hardest':
+        '..53.....8......2..7..1.5..4....53...1..7...6..32...8..6.5....9..4....3......97..',
+	'17 givens':
+        '.......1.4.........2...........5.4.7..8...3....1.9....3..4..2...5.1........8.6...',
+};
+
+const RUNS = 20;
+const SEEDS = 10;
+
+function time(fn, runs){
+	/* Return the average time of `runs` calls of `fn`, in milliseconds.
+    */
+	fn();
+	const start = performance.now();
+	for(let i = 0; i < runs; ++i){
+		fn();
+	}
+	return (performance.now() - start) / runs;
+}
+
+function report(name, ms){
+	console.log(name.padEnd(32) + ms.toFixed(3).padStart(12) + ' ms');
+}
+
+const sudoku = new Sudoku();
+
+console.log('Sudoku.js: ' + module_path + '\n');
+console.log('Solve, average of ' + RUNS + ' runs');
+for(const name in HARD_PUZZLES){
+	report(name, time(() => sudoku.solve(HARD_PUZZLES[name]), RUNS));
+}
+
+console.log('\nCount solutions up to 2, average of ' + RUNS + ' runs');
+for(const name in HARD_PUZZLES){
+	report(name, time(() => sudoku.count_solutions(HARD_PUZZLES[name], 2),
+		RUNS));
+}
+
+console.log('\nGenerate, average of ' + SEEDS + ' seeds');
+for(const difficulty of ['easy', 'hard', 'inhuman']){
+	let seed = 0;
+	report(difficulty, time(() => sudoku.generate(difficulty, {seed: ++seed}),
+		SEEDS));
+}
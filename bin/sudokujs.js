@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+/*
+    sudokujs
+    ========
+
+    Generate, solve, rate and print Sudoku puzzles from the command line, e.g.,
+
+        sudokujs generate --difficulty hard --count 50 > puzzles.txt
+        sudokujs solve < puzzles.txt
+        sudokujs rate --json puzzles.txt
+        sudokujs bank --count 1000 easy hard insane > bank.jsonl
+
+    Boards are read from files, or stdin, one per line. Results are written
+    one per line, or as a JSON object per line with --json. Invalid boards are
+    reported on stderr, and make the exit code 1.
+*/
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import Sudoku, { DIFFICULTY, FORMATS, STYLES, SYMMETRIES, 
+	UnsolvableBoardError } from '../src/Sudoku.js';
+
+const USAGE = `Usage: sudokujs <command> [options] [files...]
+
+Commands:
+    generate        Generate puzzles
+    solve           Solve boards
+    rate            Rate boards, see Sudoku.rate
+    print           Print boards as a grid
+    candidates      Get the candidates of every square of boards
+    bank            Generate a bank of puzzles as JSON Lines, for every tier
+                    given, e.g., easy or easy:500, or every difficulty
+
+Options:
+    -d, --difficulty <d>    Number of givens to generate, or a difficulty,
+                            one of ${Object.keys(DIFFICULTY).join(', ')}
+    -n, --count <n>         Number of puzzles to generate, 1 by default,
+                            or per tier of a bank
+    -r, --rating <r>        Rating of the puzzles to generate
+    -s, --seed <s>          Seed to generate the same puzzles again
+        --non-unique        Don't require generated puzzles to be unique
+        --minimal           Remove every given generated puzzles don't need
+        --rated             Rate bank puzzles the same as their tier
+        --symmetry <s>      Symmetry of the givens of generated puzzles, one
+                            of ${SYMMETRIES.join(', ')}
+    -f, --format <f>        Format of the boards read and written, one of
+                            ${FORMATS.join(', ')}
+        --json              Write a JSON object per line
+        --style <s>         Style to print boards in, one of
+                            ${STYLES.join(', ')}
+        --box-rows <n>      Rows per box, 3 by default
+        --box-cols <n>      Columns per box, 3 by default
+        --variant <v>       Variant, e.g., x, hyper, centre-dot
+    -h, --help              Show this help
+`;
+
+const OPTIONS = {
+	'difficulty': {type: 'string', short: 'd'},
+	'count': {type: 'string', short: 'n', default: '1'},
+	'rating': {type: 'string', short: 'r'},
+	'seed': {type: 'string', short: 's'},
+	'non-unique': {type: 'boolean'},
+	'minimal': {type: 'boolean'},
+	'rated': {type: 'boolean'},
+	'symmetry': {type: 'string'},
+	'format': {type: 'string', short: 'f'},
+	'json': {type: 'boolean'},
+	'style': {type: 'string'},
+	'box-rows': {type: 'string'},
+	'box-cols': {type: 'string'},
+	'variant': {type: 'string', multiple: true},
+	'help': {type: 'boolean', short: 'h'},
+};
+
+// Command -> [result of a board, or false if it has none, its text]
+const COMMANDS = {
+	solve: (sudoku, board, format) => {
+		const solution = sudoku.solve(board);
+		return [solution, solution && sudoku.format_board(solution, format)];
+	},
+	rate: (sudoku, board) => {
+		const report = sudoku.rate(board);
+		return [report, report && report.rating + ' ' + report.score];
+	},
+	print: (sudoku, board, format, style) => [board, style ? 
+		sudoku.render(board, {style: style}) : 
+		sudoku.format_board(board, format || 'ss')],
+	candidates: (sudoku, board) => {
+		const candidates = sudoku.get_candidates(board);
+		return [candidates, candidates && 
+            sudoku.format_board(board, 'pencil-marks', candidates)];
+	},
+};
+
+function main(argv){
+	/* Run the command in `argv`, and return the exit code.
+    */
+	let args;
+	try {
+		args = parseArgs({args: argv, options: OPTIONS, allowPositionals: true});
+	} catch(error){
+		process.stderr.write(error.message + '\n\n' + USAGE);
+		return 2;
+	}
+	const [command, ...files] = args.positionals;
+	const options = args.values;
+	if(options.help){
+		process.stdout.write(USAGE);
+		return 0;
+	}
+	if(command !== 'generate' && command !== 'bank' && !COMMANDS[command]){
+		process.stderr.write((command ? 'Unknown command: ' + command + '\n\n' :
+			'') + USAGE);
+		return 2;
+	}
+	if(options.format && !FORMATS.includes(options.format)){
+		process.stderr.write('Invalid format: ' + options.format + '\n');
+		return 2;
+	}
+	if(options.style && !STYLES.includes(options.style)){
+		process.stderr.write('Invalid style: ' + options.style + '\n');
+		return 2;
+	}
+
+	let sudoku;
+	try {
+		sudoku = new Sudoku({
+			box_rows: parseInt(options['box-rows']) || undefined,
+			box_cols: parseInt(options['box-cols']) || undefined,
+			variant: options.variant,
+		});
+	} catch(error){
+		process.stderr.write(error.message + '\n');
+		return 2;
+	}
+
+	if(command === 'generate'){
+		return generate(sudoku, options);
+	}
+	if(command === 'bank'){
+		return bank(sudoku, files, options);
+	}
+	return run(sudoku, command, files, options);
+}
+
+function generate(sudoku, options){
+	/* Write `options.count` new puzzles, and return the exit code.
+    */
+	const count = parseInt(options.count);
+	if(!(count >= 0)){
+		process.stderr.write('Invalid count: ' + options.count + '\n');
+		return 2;
+	}
+	const difficulty = isNaN(options.difficulty) ? options.difficulty :
+		parseInt(options.difficulty);
+	if(difficulty !== undefined && isNaN(difficulty) && 
+            !Object.keys(DIFFICULTY).includes(difficulty)){
+		process.stderr.write('Invalid difficulty: ' + options.difficulty + 
+            '\n');
+		return 2;
+	}
+	for(let i = 0; i < count; ++i){
+		let board;
+		try {
+			board = sudoku.generate(difficulty, {
+				unique: !options['non-unique'],
+				rating: options.rating,
+				minimal: options.minimal,
+				symmetry: options.symmetry,
+				seed: options.seed === undefined ? undefined : 
+					options.seed + ':' + i,
+			});
+		} catch(error){
+			process.stderr.write(error.message + '\n');
+			return 2;
+		}
+		write(options, {board: board}, sudoku.format_board(board, options.format));
+	}
+	return 0;
+}
+
+function bank(sudoku, tiers, options){
+	/* Write a bank of puzzles for every tier of `tiers`, as a JSON object per
+    line, and a summary on stderr, and return the exit code.
+    */
+	const counts = {};
+	for(const tier of tiers.length ? tiers : Object.keys(DIFFICULTY)){
+		const [name, count] = tier.split(':');
+		counts[name] = parseInt(count === undefined ? options.count : count);
+		if(!(counts[name] >= 0)){
+			process.stderr.write('Invalid count: ' + tier + '\n');
+			return 2;
+		}
+	}
+
+	let result;
+	try {
+		result = sudoku.generate_bank(counts, {
+			rated: options.rated,
+			minimal: options.minimal,
+			symmetry: options.symmetry,
+			seed: options.seed,
+			on_puzzle: puzzle => 
+				process.stdout.write(JSON.stringify(puzzle) + '\n'),
+		});
+	} catch(error){
+		process.stderr.write(error.message + '\n');
+		return 2;
+	}
+
+	const summary = result.summary;
+	const lines = ['Tier            Puzzles  Duplicates  Failed  Givens' +
+        '         Time  Ratings'];
+	const row = (name, stats) => {
+		const puzzles = stats.generated + '/' + 
+            (stats.requested === undefined ? stats.generated : stats.requested);
+		const givens = stats.givens ? 
+			stats.givens.min + '-' + stats.givens.max : '-';
+		const time = (stats.time / 1000).toFixed(1) + ' s';
+		const ratings = Object.keys(stats.ratings || {}).map(
+			rating => rating + ': ' + stats.ratings[rating]).join(', ');
+		lines.push(name.padEnd(16) + puzzles.padStart(7) + 
+            String(stats.duplicates).padStart(12) + 
+            String(stats.failed).padStart(8) + '  ' + givens.padEnd(7) + 
+            time.padStart(12) + '  ' + ratings);
+	};
+	for(const tier in summary.tiers){
+		row(tier, summary.tiers[tier]);
+	}
+	row('Total', summary);
+	process.stderr.write(lines.join('\n') + '\n');
+	return summary.generated === Object.values(counts).reduce(
+		(sum, count) => sum + count, 0) ? 0 : 1;
+}
+
+function run(sudoku, command, files, options){
+	/* Run `command` on every board read from `files`, or stdin, and return
+    the exit code.
+    */
+	let status = 0;
+	const sources = files.length ? files : ['-'];
+	for(const file of sources){
+		let text;
+		try {
+			text = readFileSync(file === '-' ? 0 : file, 'utf8');
+		} catch(error){
+			process.stderr.write(file + ': ' + error.message + '\n');
+			status = 1;
+			continue;
+		}
+		for(const [line, board] of read_boards(sudoku, text, options.format)){
+			const name = (file === '-' ? 'stdin' : file) + ':' + line + ': ';
+			try {
+				if(board instanceof Error){
+					throw board;
+				}
+				const [result, text] = COMMANDS[command](sudoku, board, 
+					options.format, options.style);
+				if(result === false){
+					throw new UnsolvableBoardError('No solution.');
+				}
+				write(options, {board: board, [command]: result}, text);
+			} catch(error){
+				process.stderr.write(name + error.message + '\n');
+				status = 1;
+			}
+		}
+	}
+	return status;
+}
+
+function read_boards(sudoku, text, format){
+	/* Return the boards in `text` as a list of [line number, board], where
+    a board that can't be parsed is its error instead. Boards are one per
+    line, unless `format` is a grid format, in which case `text` is one
+    board.
+    */
+	if(format && format !== 'line' && format !== 'zeros'){
+		try {
+			return [[1, sudoku.parse_board(text, format)]];
+		} catch(error){
+			return [[1, error]];
+		}
+	}
+
+	const boards = [];
+	const lines = text.split(/\r?\n/);
+	for(let i = 0; i < lines.length; ++i){
+		const line = lines[i].trim();
+		if(!line || line[0] === '#'){
+			continue;
+		}
+		try {
+			boards.push([i + 1, sudoku.parse_board(line, 'line')]);
+		} catch(error){
+			boards.push([i + 1, error]);
+		}
+	}
+	return boards;
+}
+
+function write(options, json, text){
+	/* Write a result, as `json` with --json, or else as `text`, with an empty
+    line after a grid.
+    */
+	if(options.json){
+		process.stdout.write(JSON.stringify(json) + '\n');
+	} else {
+		process.stdout.write(text + (text.includes('\n') ? '\n\n' : '\n'));
+	}
+}
+
+// Stop quietly when the output is closed, e.g., piped into `head`
+process.stdout.on('error', error => {
+	if(error.code !== 'EPIPE'){
+		throw error;
+	}
+	process.exit(process.exitCode);
+});
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,392 @@
+// Number of set bits, i.e., candidates, in a mask
+function count_bits(mask){
+	mask = mask - ((mask >>> 1) & 0x55555555);
+	mask = (mask & 0x33333333) + ((mask >>> 2) & 0x33333333);
+	return Math.imul((mask + (mask >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+}
+
+// Index of the lowest set bit in a mask, i.e., of its first digit
+function bit_index(bit){
+	return 31 - Math.clz32(bit & -bit);
+}
+
+// Constraint propagation and search, like Peter Norvig's solver, on candidates
+// kept as a bitmask per square, bit i for the i-th digit, in an Int32Array
+// indexed like SQUARES. Copying the candidates for a search branch is a single
+// slice(), and units, peers and cages are precomputed as square indices.
+export default class BitSolver {
+	ALL = 0;                    // Mask of every digit
+	UNITS = [];                 // Units, as arrays of square indices
+	SQUARE_UNITS = [];          // Square index -> units
+	SQUARE_PEERS = [];          // Square index -> peer indices
+	CAGES = [];                 // Killer cages, as {squares, combos} masks
+	SQUARE_CAGE = [];           // Square index -> cage, or null
+	monitor = null;             // Statistics and events of a solve, or null
+
+	constructor(sudoku){
+		/* Create a solver for the squares, units, peers and cages of a
+        `sudoku` instance.
+        */
+		this.sudoku = sudoku;
+		this.ALL = (1 << sudoku.SIZE) - 1;
+
+		const indices = {};
+		for(let i = 0; i < sudoku.SQUARES.length; ++i){
+			indices[sudoku.SQUARES[i]] = i;
+		}
+		const to_indices = squares =>
+			Int16Array.from(squares, square => indices[square]);
+
+		const unit_indices = new Map();
+		for(const ui in sudoku.UNITS){
+			const unit = to_indices(sudoku.UNITS[ui]);
+			unit_indices.set(sudoku.UNITS[ui], unit);
+			this.UNITS.push(unit);
+		}
+		for(const si in sudoku.SQUARES){
+			const square = sudoku.SQUARES[si];
+			this.SQUARE_UNITS.push(sudoku.SQUARE_UNITS_MAP[square].map(
+				unit => unit_indices.get(unit)));
+			this.SQUARE_PEERS.push(to_indices(sudoku.SQUARE_PEERS_MAP[square]));
+			this.SQUARE_CAGE.push(null);
+		}
+
+		for(const ci in sudoku.CAGES){
+			const cage = {
+				squares: to_indices(sudoku.CAGES[ci].squares),
+				combos: Int32Array.from(sudoku.CAGES[ci].combos,
+					combo => this.mask(combo)),
+			};
+			this.CAGES.push(cage);
+			for(const si of cage.squares){
+				this.SQUARE_CAGE[si] = cage;
+			}
+		}
+	}
+
+	candidates(board){
+		/* Return the candidates of every square of `board` after constraint
+        propagation, as an Int32Array of masks, or false if a contradiction is
+        encountered. `board` must be valid.
+        */
+		const candidates = new Int32Array(board.length).fill(this.ALL);
+		for(let i = 0; i < board.length; ++i){
+			const di = this.sudoku.DIGITS.indexOf(board[i]);
+			if(di !== -1 && !this.assign(candidates, i, 1 << di)){
+				return false;
+			}
+		}
+
+		// Narrow down the candidates of every cage to digits that can add up
+		// to its sum, even if it has no givens
+		for(const ci in this.CAGES){
+			if(!this._eliminate_cage(candidates, this.CAGES[ci])){
+				return false;
+			}
+		}
+
+		return candidates;
+	}
+
+	naive_candidates(board){
+		/* Return the candidates of every square of `board`, where a blank
+        square has the digits not given in its peers, without propagating
+        further, as an Int32Array of masks. `board` must be valid.
+        */
+		const candidates = new Int32Array(board.length);
+		for(let si = 0; si < board.length; ++si){
+			const di = this.sudoku.DIGITS.indexOf(board[si]);
+			if(di !== -1){
+				candidates[si] = 1 << di;
+				continue;
+			}
+			let mask = this.ALL;
+			const peers = this.SQUARE_PEERS[si];
+			for(let pi = 0; pi < peers.length; ++pi){
+				const pdi = this.sudoku.DIGITS.indexOf(board[peers[pi]]);
+				if(pdi !== -1){
+					mask &= ~(1 << pdi);
+				}
+			}
+			candidates[si] = mask;
+		}
+		return candidates;
+	}
+
+	assign(candidates, si, bit){
+		/* Eliminate all digits, *except* for `bit`, from the candidates of
+        square index `si`, and propagate. Return false if a contradiction is
+        found.
+
+        WARNING: This will modify the contents of `candidates` directly.
+        */
+		let others = candidates[si] & ~bit;
+		if(this.monitor && others){
+			this._emit('assign', si, bit);
+		}
+		while(others){
+			const other = others & -others;
+			others ^= other;
+			if(!this._eliminate(candidates, si, other)){
+				return false;
+			}
+		}
+		return true;
+	}
+
+	*solutions(candidates, reverse){
+		/* Given `candidates`, using depth-first search, recursively try all
+        possible digits and yield the candidates of every solution found, in
+        search order. Optionally set `reverse` to try the digits of each square
+        backwards.
+        */
+		if(!candidates){
+			return;
+		}
+		const monitor = this.monitor;
+		if(monitor){
+			++monitor.stats.nodes;
+		}
+
+		// Choose the square with the fewest candidates > 1. If there's none,
+		// we've a solved puzzle!
+		let min_nr_candidates = this.sudoku.SIZE + 1;
+		let min_si = -1;
+		for(let si = 0; si < candidates.length; ++si){
+			const nr_candidates = count_bits(candidates[si]);
+			if(nr_candidates > 1 && nr_candidates < min_nr_candidates){
+				min_nr_candidates = nr_candidates;
+				min_si = si;
+				if(nr_candidates === 2){
+					break;
+				}
+			}
+		}
+		if(min_si === -1){
+			yield candidates;
+			return;
+		}
+
+		// Try each of its candidates on a copy, forwards or backwards
+		const bits = [];
+		for(let mask = candidates[min_si]; mask; mask &= mask - 1){
+			bits.push(mask & -mask);
+		}
+		if(reverse){
+			bits.reverse();
+		}
+		for(const bit of bits){
+			const candidates_copy = candidates.slice();
+			if(monitor){
+				this._emit('guess', min_si, bit);
+				monitor.stats.max_depth = Math.max(monitor.stats.max_depth,
+					++monitor.depth);
+			}
+			if(this.assign(candidates_copy, min_si, bit)){
+				yield* this.solutions(candidates_copy, reverse);
+			}
+			if(monitor){
+				--monitor.depth;
+				this._emit('backtrack', min_si, bit);
+			}
+		}
+	}
+
+	count(mask){
+		/* Return the number of candidates in `mask`.
+        */
+		return count_bits(mask);
+	}
+
+	mask(digits){
+		/* Return the mask of a string of `digits`, e.g., "13" -> 0b101.
+        */
+		let mask = 0;
+		for(const val of digits){
+			mask |= 1 << this.sudoku.DIGITS.indexOf(val);
+		}
+		return mask;
+	}
+
+	digits(mask){
+		/* Return the digits of `mask` as a string, e.g., 0b101 -> "13".
+        */
+		let digits = '';
+		for(; mask; mask &= mask - 1){
+			digits += this.sudoku.DIGITS[bit_index(mask)];
+		}
+		return digits;
+	}
+
+	monitor_start(on_event){
+		/* Start counting the work of the solver, until `monitor_stop`, and
+        call `on_event`, if given, with every assignment, elimination, guess
+        and backtrack, see `Sudoku.solve`.
+        */
+		this.monitor = {
+			stats: {nodes: 0, max_depth: 0, guesses: 0, backtracks: 0,
+				assignments: 0, propagations: 0, time: 0},
+			on_event: on_event,
+			depth: 0,
+			start: performance.now(),
+		};
+	}
+
+	monitor_stop(){
+		/* Stop counting, and return the statistics since `monitor_start`.
+        */
+		const monitor = this.monitor;
+		this.monitor = null;
+		monitor.stats.time = Math.round(
+			(performance.now() - monitor.start) * 100) / 100;
+		return monitor.stats;
+	}
+
+	to_board(candidates){
+		/* Return solved `candidates` as a board string.
+        */
+		let board = '';
+		for(let si = 0; si < candidates.length; ++si){
+			board += this.sudoku.DIGITS[bit_index(candidates[si])];
+		}
+		return board;
+	}
+
+	to_map(candidates){
+		/* Return `candidates` as a map in the form {square: sudoku.DIGITS}.
+        */
+		const candidates_map = {};
+		for(let si = 0; si < candidates.length; ++si){
+			candidates_map[this.sudoku.SQUARES[si]] = this.digits(candidates[si]);
+		}
+		return candidates_map;
+	}
+
+	_eliminate(candidates, si, bit){
+		/* Eliminate `bit` from the candidates of square index `si`, and
+        propagate when values or places <= 2. Return false if a contradiction
+        is detected.
+
+        WARNING: This will modify the contents of `candidates` directly.
+        */
+
+		// If `bit` has already been eliminated, we're done
+		if(!(candidates[si] & bit)){
+			return true;
+		}
+		const mask = candidates[si] &= ~bit;
+		if(this.monitor){
+			this._emit('eliminate', si, bit, mask);
+		}
+
+		// If the square has no candidates, we have a contradiction. If it has
+		// only one left, eliminate that value from its peers.
+		if(!mask){
+			return false;
+		}
+		if(!(mask & (mask - 1))){
+			const peers = this.SQUARE_PEERS[si];
+			for(let pi = 0; pi < peers.length; ++pi){
+				if(!this._eliminate(candidates, peers[pi], mask)){
+					return false;
+				}
+			}
+		}
+
+		// If a unit is reduced to only one place for `bit`, then assign it
+		const units = this.SQUARE_UNITS[si];
+		for(let ui = 0; ui < units.length; ++ui){
+			const unit = units[ui];
+			let place = -1;
+			let nr_places = 0;
+			for(let i = 0; i < unit.length && nr_places < 2; ++i){
+				if(candidates[unit[i]] & bit){
+					place = unit[i];
+					++nr_places;
+				}
+			}
+			if(nr_places === 0){
+				return false;
+			}
+			if(nr_places === 1 && !this.assign(candidates, place, bit)){
+				return false;
+			}
+		}
+
+		// If the square is in a cage, eliminate the digits that no longer add
+		// up to the cage's sum
+		if(this.SQUARE_CAGE[si] &&
+                !this._eliminate_cage(candidates, this.SQUARE_CAGE[si])){
+			return false;
+		}
+
+		return true;
+	}
+
+	_eliminate_cage(candidates, cage){
+		/* Eliminate from the squares of `cage` every candidate that isn't in
+        one of its combos, i.e., sets of digits that add up to its sum, that
+        still fit its squares. Return false if a contradiction is detected.
+
+        WARNING: This will modify the contents of `candidates` directly.
+        */
+
+		// A combo fits if every square has a candidate in it, and every digit
+		// of it is a candidate of some square
+		let cage_mask = 0;
+		for(const si of cage.squares){
+			cage_mask |= candidates[si];
+		}
+		let fitting = 0;
+		for(const combo of cage.combos){
+			if(!(combo & ~cage_mask) &&
+                    cage.squares.every(si => candidates[si] & combo)){
+				fitting |= combo;
+			}
+		}
+
+		for(const si of cage.squares){
+			let others = candidates[si] & ~fitting;
+			while(others){
+				const other = others & -others;
+				others ^= other;
+				if(!this._eliminate(candidates, si, other)){
+					return false;
+				}
+			}
+		}
+
+		return true;
+	}
+
+	_emit(type, si, bit, mask){
+		/* Count an event of `type` on square index `si` and digit `bit`, and
+        pass it to the monitor's callback, if any, with the candidates left,
+        `mask`, of an elimination.
+        */
+		const monitor = this.monitor;
+		const stats = monitor.stats;
+		if(type === 'assign'){
+			++stats.assignments;
+		} else if(type === 'eliminate'){
+			++stats.propagations;
+		} else if(type === 'guess'){
+			++stats.guesses;
+		} else {
+			++stats.backtracks;
+		}
+		if(!monitor.on_event){
+			return;
+		}
+		const event = {
+			type: type,
+			square: this.sudoku.SQUARES[si],
+			digit: this.sudoku.DIGITS[bit_index(bit)],
+			depth: monitor.depth,
+		};
+		if(type === 'eliminate'){
+			event.candidates = this.digits(mask);
+		}
+		monitor.on_event(event);
+	}
+}
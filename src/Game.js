@@ -0,0 +1,298 @@
+import { InvalidMoveError } from './errors.js';
+
+export default class Game {
+	givens = '';                // Board of the givens
+	entries = {};               // Square -> digit entered by the player
+	marks = {};                 // Square -> pencil marks, e.g. "137"
+	undo_stack = [];            // Moves to undo, latest last
+	redo_stack = [];            // Undone moves to redo, latest last
+	solution = null;            // Solution of the givens, once needed
+
+	constructor(sudoku, board){
+		/* Start a game of `board` on a `sudoku` instance, e.g.,
+
+            const game = new Game(sudoku, sudoku.generate("easy"));
+            game.set("A2", "7");
+            game.toggle_mark("A3", "4");
+            game.undo();
+
+        The givens of `board` can't be changed. Every change to the player's
+        entries and pencil marks is a move, which can be undone and redone.
+        */
+		sudoku._check_board(board);
+		this.sudoku = sudoku;
+		this.givens = board;
+	}
+
+	// Moves
+	// -------------------------------------------------------------------------
+
+	set(square, digit){
+		/* Enter `digit` in `square`, or clear it if `digit` is the blank
+        character or empty. Throw if `square` is a given.
+        */
+		this._check_square(square);
+		if(digit === this.sudoku.BLANK_CHAR || !digit){
+			digit = '';
+		} else if(!this.sudoku._in(digit, this.sudoku.DIGITS) ||
+                digit.length !== 1){
+			throw new InvalidMoveError('Invalid digit. Digit must be one of ' + 
+                this.sudoku.DIGITS, {square: square, digit: digit});
+		}
+		this._move(square, digit, this.get_marks(square));
+	}
+
+	clear(square){
+		/* Clear the entry and pencil marks of `square`.
+        */
+		this._check_square(square);
+		this._move(square, '', '');
+	}
+
+	toggle_mark(square, digit){
+		/* Add `digit` to the pencil marks of `square`, or remove it if it's
+        already there.
+        */
+		const marks = this.get_marks(square);
+		this.set_marks(square, this.sudoku._in(digit, marks) ?
+			marks.replace(digit, '') : marks + digit);
+	}
+
+	set_marks(square, digits){
+		/* Set the pencil marks of `square` to a string of `digits`.
+        */
+		this._check_square(square);
+		for(const di in digits){
+			if(!this.sudoku._in(digits[di], this.sudoku.DIGITS)){
+				throw new InvalidMoveError('Invalid pencil marks. Marks must ' +
+                    'be one of ' + this.sudoku.DIGITS, 
+				{square: square, digit: digits[di]});
+			}
+		}
+		const marks = this.sudoku._strip_dups(digits.split(''))
+			.sort((a, b) => this.sudoku.DIGITS.indexOf(a) -
+                this.sudoku.DIGITS.indexOf(b))
+			.join('');
+		this._move(square, this.entries[square] || '', marks);
+	}
+
+	undo(){
+		/* Undo the last move. Return false if there's nothing to undo.
+        */
+		const move = this.undo_stack.pop();
+		if(!move){
+			return false;
+		}
+		this._apply(move.square, move.from);
+		this.redo_stack.push(move);
+		return true;
+	}
+
+	redo(){
+		/* Redo the last undone move. Return false if there's nothing to redo.
+        */
+		const move = this.redo_stack.pop();
+		if(!move){
+			return false;
+		}
+		this._apply(move.square, move.to);
+		this.undo_stack.push(move);
+		return true;
+	}
+
+	_move(square, value, marks){
+		/* Change the entry and pencil marks of `square` as a new move, unless
+        nothing changes. A new move can't be redone past.
+        */
+		const from = {value: this.entries[square] || '',
+			marks: this.get_marks(square)};
+		if(from.value === value && from.marks === marks){
+			return;
+		}
+		const to = {value: value, marks: marks};
+		this._apply(square, to);
+		this.undo_stack.push({square: square, from: from, to: to});
+		this.redo_stack = [];
+	}
+
+	_apply(square, state){
+		/* Set the entry and pencil marks of `square` to `state`, as
+        {value, marks}.
+        */
+		if(state.value){
+			this.entries[square] = state.value;
+		} else {
+			delete this.entries[square];
+		}
+		if(state.marks){
+			this.marks[square] = state.marks;
+		} else {
+			delete this.marks[square];
+		}
+	}
+
+	_check_square(square){
+		/* Throw unless `square` is a square the player may change.
+        */
+		if(!this.sudoku._in(square, this.sudoku.SQUARES)){
+			throw new InvalidMoveError('Invalid square. Square must be one ' +
+                'of ' + this.sudoku.SQUARES[0] + ' to ' +
+                this.sudoku.SQUARES[this.sudoku.NR_SQUARES - 1], 
+			{square: square});
+		}
+		if(this.is_given(square)){
+			throw new InvalidMoveError('Given square. ' + square + 
+                ' is a given and can\'t change.', {square: square});
+		}
+	}
+
+	// State
+	// -------------------------------------------------------------------------
+
+	board(){
+		/* Return the board of the givens and the player's entries.
+        */
+		let board = '';
+		for(const si in this.sudoku.SQUARES){
+			board += this.get(this.sudoku.SQUARES[si]);
+		}
+		return board;
+	}
+
+	get(square){
+		/* Return the digit in `square`, given or entered, or the blank
+        character.
+        */
+		return this.is_given(square) ?
+			this.givens[this.sudoku.SQUARES.indexOf(square)] :
+			this.entries[square] || this.sudoku.BLANK_CHAR;
+	}
+
+	get_marks(square){
+		/* Return the pencil marks of `square`, as a string of digits.
+        */
+		return this.marks[square] || '';
+	}
+
+	is_given(square){
+		/* Return if `square` is one of the givens.
+        */
+		return this.givens[this.sudoku.SQUARES.indexOf(square)] !==
+            this.sudoku.BLANK_CHAR;
+	}
+
+	get_conflicts(){
+		/* Return the squares with the same digit as one of their peers, in
+        the order of SQUARES.
+        */
+		const conflicts = [];
+		for(const si in this.sudoku.SQUARES){
+			const square = this.sudoku.SQUARES[si];
+			const val = this.get(square);
+			const peers = this.sudoku.SQUARE_PEERS_MAP[square];
+			if(val !== this.sudoku.BLANK_CHAR &&
+                    peers.some(peer => this.get(peer) === val)){
+				conflicts.push(square);
+			}
+		}
+		return conflicts;
+	}
+
+	get_mistakes(){
+		/* Return the squares whose entries differ from the solution, in the
+        order of SQUARES. If the givens have no solution, every entry is a
+        mistake.
+        */
+		const solution = this.get_solution();
+		const mistakes = [];
+		for(const si in this.sudoku.SQUARES){
+			const square = this.sudoku.SQUARES[si];
+			if(this.entries[square] &&
+                    (!solution || this.entries[square] !== solution[si])){
+				mistakes.push(square);
+			}
+		}
+		return mistakes;
+	}
+
+	get_solution(){
+		/* Return the solution of the givens, see `solve`, or false if there
+        is none.
+        */
+		if(this.solution === null){
+			this.solution = this.sudoku.solve(this.givens);
+		}
+		return this.solution;
+	}
+
+	check_progress(){
+		/* Return a report of the entries, conflicts, mistakes and the fewest
+        entries to clear, see `Sudoku.check_progress`.
+        */
+		return this.sudoku.check_progress(this.givens, this.board());
+	}
+
+	is_complete(){
+		/* Return if every square has a digit.
+        */
+		return !this.sudoku._in(this.sudoku.BLANK_CHAR, this.board());
+	}
+
+	is_solved(){
+		/* Return if every square has a digit, and the board is the solution.
+        */
+		return this.is_complete() && this.board() === this.get_solution();
+	}
+
+	render(options){
+		/* Return the board of the game rendered, with its entries and pencil
+        marks, see `Sudoku.render`, e.g.,
+
+            game.render({style: "svg", highlight: game.get_conflicts()})
+        */
+		return this.sudoku.render(this.board(), Object.assign(
+			{givens: this.givens, candidates: this.marks}, options));
+	}
+
+	hint(options){
+		/* Return a hint for the next move, or the wrong entries, see
+        `Sudoku.hint`, e.g., game.hint({level: "technique"}).
+        */
+		return this.sudoku.hint(this.board(), Object.assign(
+			{givens: this.givens}, options));
+	}
+
+	// Saving
+	// -------------------------------------------------------------------------
+
+	to_json(){
+		/* Return the game as a JSON string, including its moves, to resume it
+        later with `Game.from_json`.
+        */
+		return JSON.stringify({
+			givens: this.givens,
+			entries: this.entries,
+			marks: this.marks,
+			undo_stack: this.undo_stack,
+			redo_stack: this.redo_stack,
+		});
+	}
+
+	static from_json(sudoku, json){
+		/* Resume a game saved with `to_json` on a `sudoku` instance, e.g.,
+
+            const game = Game.from_json(sudoku, localStorage.getItem("game"));
+        */
+		const saved = typeof json === 'string' ? JSON.parse(json) : json;
+		const game = new Game(sudoku, saved.givens);
+		for(const square in saved.entries){
+			game.set(square, saved.entries[square]);
+		}
+		for(const square in saved.marks){
+			game.set_marks(square, saved.marks[square]);
+		}
+		game.undo_stack = saved.undo_stack || [];
+		game.redo_stack = saved.redo_stack || [];
+		return game;
+	}
+}
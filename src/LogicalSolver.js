@@ -0,0 +1,764 @@
+// Ratings from easiest to hardest
+export const RATINGS = ['easy', 'medium', 'hard', 'very-hard', 'insane', 
+	'inhuman'];
+
+export default class LogicalSolver {
+	// Techniques, simplest first, as [name, finder method]
+	TECHNIQUES = [
+		['Naked Single',       '_find_naked_single'],
+		['Hidden Single',      '_find_hidden_single'],
+		['Naked Pair',         '_find_naked_pair'],
+		['Hidden Pair',        '_find_hidden_pair'],
+		['Naked Triple',       '_find_naked_triple'],
+		['Hidden Triple',      '_find_hidden_triple'],
+		['Pointing Pair',      '_find_pointing'],
+		['Box/Line Reduction', '_find_box_line_reduction'],
+		['X-Wing',             '_find_x_wing'],
+		['Swordfish',          '_find_swordfish'],
+		['XY-Wing',            '_find_xy_wing'],
+		['Simple Coloring',    '_find_simple_coloring'],
+	];
+
+	// Technique -> [rating of puzzles needing it, score per step]
+	TECHNIQUE_RATINGS = {
+		'Naked Single':       ['easy',      1],
+		'Hidden Single':      ['easy',      1],
+		'Naked Pair':         ['medium',    3],
+		'Hidden Pair':        ['medium',    3],
+		'Pointing Pair':      ['medium',    3],
+		'Pointing Triple':    ['medium',    3],
+		'Box/Line Reduction': ['medium',    3],
+		'Naked Triple':       ['hard',      6],
+		'Hidden Triple':      ['hard',      6],
+		'X-Wing':             ['hard',      8],
+		'Swordfish':          ['very-hard', 12],
+		'XY-Wing':            ['very-hard', 12],
+		'Simple Coloring':    ['very-hard', 15],
+	};
+	GUESS_SCORE = 20;           // Score per square left when stuck
+
+	ROW_UNITS = [];             // Row units
+	COL_UNITS = [];             // Column units
+	BOX_UNITS = [];             // Box units
+	VARIANT_UNITS = [];         // Extra units of variants, e.g. diagonals
+	UNIT_NAMES = new Map();     // Unit -> human readable name, e.g. "row A"
+
+	constructor(sudoku){
+		/* Create a logical solver working on the squares, units and peers of a
+        `sudoku` instance.
+        */
+		this.sudoku = sudoku;
+
+		// Sort the units into rows, columns, boxes and variant units, and
+		// name them
+		for(const vi in sudoku.VARIANT_UNITS){
+			const [name, unit] = sudoku.VARIANT_UNITS[vi];
+			this.VARIANT_UNITS.push(unit);
+			this.UNIT_NAMES.set(unit, name);
+		}
+		for(const ui in sudoku.UNITS){
+			const unit = sudoku.UNITS[ui];
+			if(this.UNIT_NAMES.has(unit)){
+				continue;
+			} else if(unit.every(
+				square => this._row(square) === this._row(unit[0]))){
+				this.ROW_UNITS.push(unit);
+				this.UNIT_NAMES.set(unit, 'row ' + this._row(unit[0]));
+			} else if(unit.every(
+				square => this._col(square) === this._col(unit[0]))){
+				this.COL_UNITS.push(unit);
+				this.UNIT_NAMES.set(unit, 'column ' + this._col(unit[0]));
+			} else {
+				this.BOX_UNITS.push(unit);
+				this.UNIT_NAMES.set(unit, (sudoku.REGIONS ? 'region ' : 'box ') +
+                    this.BOX_UNITS.length);
+			}
+		}
+	}
+
+	solve(board, marks){
+		/* Solve `board` using only named human techniques, starting from the
+        pencil `marks` of its open squares, if given, as a map of square ->
+        candidates, and return a report of the form
+
+            {
+                solved: true or false,
+                board: the board with every square that could be placed,
+                steps: [{technique, squares, units, placements,
+                    eliminations, description}, ...],
+                stuck: false, or {board, candidates} where no technique
+                    applies, e.g., because the puzzle needs guessing
+            }
+
+        Each step lists the `squares` its pattern is built on, the names of
+        the `units` it's in, e.g., "row A", if it's in any, and the
+        `placements` and `eliminations` it made, as {square, digit}. Placing a
+        digit also removes it from the candidates of the square's peers.
+        */
+		const state = this._init_state(board, marks);
+		const steps = [];
+
+		while(!this._is_solved(state) && !this._is_broken(state)){
+			const step = this.next_step(state);
+			if(!step){
+				break;
+			}
+			this.apply_step(state, step);
+			steps.push(step);
+		}
+
+		const solved = this._is_solved(state);
+		const result_board = this._state_to_board(state);
+		return {
+			solved: solved,
+			board: result_board,
+			steps: steps,
+			stuck: solved ? false : {
+				board: result_board,
+				candidates: this._state_to_candidates(state),
+			},
+		};
+	}
+
+	rate(board){
+		/* Rate a unique `board` by the hardest technique needed to solve it,
+        and return a report of the form
+
+            {
+                rating: one of RATINGS,
+                score: the amount of work, i.e., the sum of the scores of
+                    every step, plus GUESS_SCORE for every square left when
+                    stuck,
+                hardest: name of the hardest technique used, or null,
+                solved: if the board could be solved without guessing,
+                techniques: {technique: number of steps, ...}
+            }
+
+        A board that can't be solved without guessing is "insane" if the
+        techniques got at least halfway there, and "inhuman" otherwise.
+        */
+		const report = this.solve(board);
+
+		let rating = 0;
+		let score = 0;
+		let hardest = null;
+		const techniques = {};
+		for(const si in report.steps){
+			const technique = report.steps[si].technique;
+			const [step_rating, step_score] = this.TECHNIQUE_RATINGS[technique];
+			techniques[technique] = (techniques[technique] || 0) + 1;
+			score += step_score;
+			if(hardest === null || 
+                    step_score > this.TECHNIQUE_RATINGS[hardest][1]){
+				hardest = technique;
+				rating = Math.max(rating, RATINGS.indexOf(step_rating));
+			}
+		}
+
+		if(!report.solved){
+			const nr_open = this._count_open(report.board);
+			score += nr_open * this.GUESS_SCORE;
+			rating = nr_open * 2 <= this._count_open(board) ? 
+				RATINGS.indexOf('insane') : RATINGS.indexOf('inhuman');
+		}
+
+		return {
+			rating: RATINGS[rating],
+			score: score,
+			hardest: hardest,
+			solved: report.solved,
+			techniques: techniques,
+		};
+	}
+
+	first_step(board, marks){
+		/* Return the first step of solving `board`, see `solve`, or false if
+        no technique applies.
+        */
+		return this.next_step(this._init_state(board, marks));
+	}
+
+	get_unit(name){
+		/* Return the unit named `name`, e.g., "row A", or undefined.
+        */
+		for(const [unit, unit_name] of this.UNIT_NAMES){
+			if(unit_name === name){
+				return unit;
+			}
+		}
+	}
+
+	get_unit_name(unit){
+		/* Return the name of `unit`, e.g., "row A".
+        */
+		return this.UNIT_NAMES.get(unit);
+	}
+
+	next_step(state){
+		/* Return the first step found by the simplest technique that applies
+        to `state`, or false if none does.
+        */
+		for(const ti in this.TECHNIQUES){
+			const step = this[this.TECHNIQUES[ti][1]](state);
+			if(step){
+				return step;
+			}
+		}
+		return false;
+	}
+
+	apply_step(state, step){
+		/* Apply the placements and eliminations of `step` to `state`.
+
+        WARNING: This will modify the contents of `state` directly.
+        */
+		for(const pi in step.placements){
+			const placement = step.placements[pi];
+			this._place(state, placement.square, placement.digit);
+		}
+		for(const ei in step.eliminations){
+			const elimination = step.eliminations[ei];
+			const square = elimination.square;
+			state.candidates[square] =
+                state.candidates[square].replace(elimination.digit, '');
+		}
+	}
+
+	// State
+	// -------------------------------------------------------------------------
+	// A state is a map of squares -> values, and a map of squares -> pencil
+	// marks, i.e., candidates that have not been ruled out yet.
+
+	_init_state(board, marks){
+		/* Return the state of `board`, where every blank square has as
+        candidates the digits not yet used by its peers, and, if given, in
+        its pencil `marks`. Marks of digits a peer has are dropped, so a
+        player's marks are never looser than the naive candidates.
+        */
+		const values = this.sudoku._get_square_vals_map(board);
+		const candidates = {};
+		for(const si in this.sudoku.SQUARES){
+			const square = this.sudoku.SQUARES[si];
+			if(this._is_open(values, square)){
+				candidates[square] = marks ? marks[square] : this.sudoku.DIGITS;
+				const peers = this.sudoku.SQUARE_PEERS_MAP[square];
+				for(const pi in peers){
+					candidates[square] =
+                        candidates[square].replace(values[peers[pi]], '');
+				}
+			} else {
+				candidates[square] = values[square];
+			}
+		}
+		return {values: values, candidates: candidates};
+	}
+
+	_place(state, square, digit){
+		/* Place `digit` at `square` and remove it from the candidates of the
+        square's open peers.
+        */
+		state.values[square] = digit;
+		state.candidates[square] = digit;
+		const peers = this.sudoku.SQUARE_PEERS_MAP[square];
+		for(const pi in peers){
+			const peer = peers[pi];
+			if(this._is_open(state.values, peer)){
+				state.candidates[peer] = state.candidates[peer].replace(digit, '');
+			}
+		}
+	}
+
+	_is_open(values, square){
+		/* Return if `square` has no value yet */
+		return values[square] === this.sudoku.BLANK_CHAR;
+	}
+
+	_is_solved(state){
+		/* Return if every square of `state` has a value */
+		return this.sudoku.SQUARES.every(
+			square => !this._is_open(state.values, square));
+	}
+
+	_is_broken(state){
+		/* Return if an open square of `state` ran out of candidates */
+		return this.sudoku.SQUARES.some(square =>
+			this._is_open(state.values, square) && !state.candidates[square]);
+	}
+
+	_state_to_board(state){
+		/* Return the board string of the values in `state` */
+		return this.sudoku.SQUARES.map(square => state.values[square]).join('');
+	}
+
+	_state_to_candidates(state){
+		/* Return the candidates in `state` as a grid, like
+        `sudoku.get_candidates`
+        */
+		return this.sudoku.board_string_to_grid(
+			this.sudoku.SQUARES.map(square => state.candidates[square]));
+	}
+
+	_count_open(board){
+		/* Return the number of blank squares on `board` */
+		return board.split(this.sudoku.BLANK_CHAR).length - 1;
+	}
+
+	_places(state, unit, digit){
+		/* Return the open squares of `unit` that still have `digit` as a
+        candidate
+        */
+		return unit.filter(square => this._is_open(state.values, square) &&
+            state.candidates[square].indexOf(digit) !== -1);
+	}
+
+	// Singles
+	// -------------------------------------------------------------------------
+
+	_find_naked_single(state){
+		/* An open square with only one candidate left must hold it. */
+		for(const si in this.sudoku.SQUARES){
+			const square = this.sudoku.SQUARES[si];
+			const candidates = state.candidates[square];
+			if(this._is_open(state.values, square) && candidates.length === 1){
+				return this._step('Naked Single', [square],
+					[{square: square, digit: candidates}], [],
+					square + ' can only be ' + candidates);
+			}
+		}
+		return false;
+	}
+
+	_find_hidden_single(state){
+		/* A digit with only one place left in a unit must go there. */
+		for(const ui in this.sudoku.UNITS){
+			const unit = this.sudoku.UNITS[ui];
+			for(const di in this.sudoku.DIGITS){
+				const digit = this.sudoku.DIGITS[di];
+				const places = this._places(state, unit, digit);
+				if(places.length === 1){
+					return this._step('Hidden Single', places,
+						[{square: places[0], digit: digit}], [],
+						digit + ' can only go in ' + places[0] + ' within ' +
+                            this.UNIT_NAMES.get(unit), [unit]);
+				}
+			}
+		}
+		return false;
+	}
+
+	// Subsets
+	// -------------------------------------------------------------------------
+
+	_find_naked_pair(state){
+		return this._find_naked_subset(state, 2, 'Naked Pair');
+	}
+
+	_find_naked_triple(state){
+		return this._find_naked_subset(state, 3, 'Naked Triple');
+	}
+
+	_find_hidden_pair(state){
+		return this._find_hidden_subset(state, 2, 'Hidden Pair');
+	}
+
+	_find_hidden_triple(state){
+		return this._find_hidden_subset(state, 3, 'Hidden Triple');
+	}
+
+	_find_naked_subset(state, size, technique){
+		/* If `size` open squares of a unit only have `size` candidates between
+        them, those digits go in those squares, so the unit's other squares
+        can't have them.
+        */
+		for(const ui in this.sudoku.UNITS){
+			const unit = this.sudoku.UNITS[ui];
+			const open_squares = unit.filter(square =>
+				this._is_open(state.values, square) &&
+                state.candidates[square].length <= size);
+
+			for(const subset of this._combinations(open_squares, size)){
+				const digits = this._union(
+					subset.map(square => state.candidates[square]));
+				if(digits.length !== size){
+					continue;
+				}
+
+				const eliminations = [];
+				for(const si in unit){
+					const square = unit[si];
+					if(subset.indexOf(square) === -1 &&
+                            this._is_open(state.values, square)){
+						for(const di in digits){
+							if(state.candidates[square].indexOf(digits[di]) !== -1){
+								eliminations.push(
+									{square: square, digit: digits[di]});
+							}
+						}
+					}
+				}
+
+				if(eliminations.length){
+					return this._step(technique, subset, [], eliminations,
+						subset.join(', ') + ' can only hold ' +
+                            digits.split('').join(', ') + ' within ' +
+                            this.UNIT_NAMES.get(unit), [unit]);
+				}
+			}
+		}
+		return false;
+	}
+
+	_find_hidden_subset(state, size, technique){
+		/* If `size` digits only have `size` places between them in a unit,
+        those squares must hold those digits, so they can't hold any other.
+        */
+		for(const ui in this.sudoku.UNITS){
+			const unit = this.sudoku.UNITS[ui];
+			const open_digits = this.sudoku.DIGITS.split('').filter(digit => {
+				const nr_places = this._places(state, unit, digit).length;
+				return nr_places > 1 && nr_places <= size;
+			});
+
+			for(const subset of this._combinations(open_digits, size)){
+				const squares = this._union(
+					subset.map(digit => this._places(state, unit, digit)));
+				if(squares.length !== size){
+					continue;
+				}
+
+				const eliminations = [];
+				for(const si in squares){
+					const square = squares[si];
+					for(const ci in state.candidates[square]){
+						const digit = state.candidates[square][ci];
+						if(subset.indexOf(digit) === -1){
+							eliminations.push({square: square, digit: digit});
+						}
+					}
+				}
+
+				if(eliminations.length){
+					return this._step(technique, squares, [], eliminations,
+						subset.join(', ') + ' can only go in ' +
+                            squares.join(', ') + ' within ' +
+                            this.UNIT_NAMES.get(unit), [unit]);
+				}
+			}
+		}
+		return false;
+	}
+
+	// Intersections
+	// -------------------------------------------------------------------------
+
+	_find_pointing(state){
+		/* If a digit's places in a box all lie on one line, the digit must go
+        on that part of the line, so it can't go anywhere else on the line.
+        Variant units, e.g. diagonals, count as lines.
+        */
+		return this._find_intersection(state, this.BOX_UNITS,
+			this.ROW_UNITS.concat(this.COL_UNITS, this.VARIANT_UNITS),
+			places => places.length === 2 ? 'Pointing Pair' : 'Pointing Triple');
+	}
+
+	_find_box_line_reduction(state){
+		/* If a digit's places on a line all lie in one box, the digit must go
+        on that part of the box, so it can't go anywhere else in the box.
+        Variant units, e.g. diagonals, count as lines.
+        */
+		return this._find_intersection(state,
+			this.ROW_UNITS.concat(this.COL_UNITS, this.VARIANT_UNITS),
+			this.BOX_UNITS, () => 'Box/Line Reduction');
+	}
+
+	_find_intersection(state, base_units, cover_units, technique){
+		/* Find a digit whose places in one of `base_units` all lie in one of
+        `cover_units`, and eliminate it from the rest of that cover unit.
+        `technique` names the step given the digit's places.
+        */
+		for(const bi in base_units){
+			const base = base_units[bi];
+			for(const di in this.sudoku.DIGITS){
+				const digit = this.sudoku.DIGITS[di];
+				const places = this._places(state, base, digit);
+				if(places.length < 2){
+					continue;
+				}
+
+				for(const ci in cover_units){
+					const cover = cover_units[ci];
+					if(!places.every(square => cover.indexOf(square) !== -1)){
+						continue;
+					}
+
+					const eliminations = this._places(state, cover, digit)
+						.filter(square => base.indexOf(square) === -1)
+						.map(square => ({square: square, digit: digit}));
+					if(eliminations.length){
+						return this._step(technique(places), places, [],
+							eliminations,
+							digit + ' in ' + this.UNIT_NAMES.get(base) +
+                                ' must go in ' + places.join(', ') +
+                                ', which also lie in ' +
+                                this.UNIT_NAMES.get(cover), [base, cover]);
+					}
+				}
+			}
+		}
+		return false;
+	}
+
+	// Fish
+	// -------------------------------------------------------------------------
+
+	_find_x_wing(state){
+		return this._find_fish(state, 2, 'X-Wing');
+	}
+
+	_find_swordfish(state){
+		return this._find_fish(state, 3, 'Swordfish');
+	}
+
+	_find_fish(state, size, technique){
+		/* If a digit's places in `size` rows lie in only `size` columns, the
+        digit must go in those columns on those rows, so it can't go anywhere
+        else in those columns. The same holds with rows and columns swapped.
+        */
+		const orientations = [
+			[this.ROW_UNITS, this.COL_UNITS, square => this._col(square)],
+			[this.COL_UNITS, this.ROW_UNITS, square => this._row(square)],
+		];
+		for(const oi in orientations){
+			const [base_units, cover_units, cover_label] = orientations[oi];
+			for(const di in this.sudoku.DIGITS){
+				const digit = this.sudoku.DIGITS[di];
+				const bases = base_units.filter(unit => {
+					const nr_places = this._places(state, unit, digit).length;
+					return nr_places > 1 && nr_places <= size;
+				});
+
+				for(const subset of this._combinations(bases, size)){
+					const places = [].concat(...subset.map(
+						unit => this._places(state, unit, digit)));
+					const labels = this._union(places.map(cover_label));
+					if(labels.length !== size){
+						continue;
+					}
+
+					const eliminations = [];
+					const covers = cover_units.filter(
+						cover => labels.indexOf(cover_label(cover[0])) !== -1);
+					for(const ci in covers){
+						const cover = covers[ci];
+						const cover_places = this._places(state, cover, digit);
+						for(const pi in cover_places){
+							if(places.indexOf(cover_places[pi]) === -1){
+								eliminations.push(
+									{square: cover_places[pi], digit: digit});
+							}
+						}
+					}
+
+					if(eliminations.length){
+						return this._step(technique, places, [], eliminations,
+							digit + ' in ' + subset.map(
+								unit => this.UNIT_NAMES.get(unit)).join(', ') +
+                                ' must go in ' + places.join(', '),
+							subset.concat(covers));
+					}
+				}
+			}
+		}
+		return false;
+	}
+
+	// Wings and chains
+	// -------------------------------------------------------------------------
+
+	_find_xy_wing(state){
+		/* Given a pivot square with candidates XY and two of its peers, the
+        pincers, with candidates XZ and YZ, one of the pincers must be Z, so a
+        square seeing both pincers can't be Z.
+        */
+		const peers_map = this.sudoku.SQUARE_PEERS_MAP;
+		const bivalues = this.sudoku.SQUARES.filter(square =>
+			this._is_open(state.values, square) &&
+            state.candidates[square].length === 2);
+
+		for(const pvi in bivalues){
+			const pivot = bivalues[pvi];
+			const [x, y] = state.candidates[pivot];
+			const pincers = bivalues.filter(square =>
+				peers_map[pivot].indexOf(square) !== -1);
+
+			for(const ai in pincers){
+				const a = pincers[ai];
+				const a_candidates = state.candidates[a];
+				if(a_candidates.indexOf(x) === -1 ||
+                        a_candidates.indexOf(y) !== -1){
+					continue;
+				}
+				const z = a_candidates.replace(x, '');
+
+				for(const bi in pincers){
+					const b = pincers[bi];
+					if(state.candidates[b] !== this._union([y + z])){
+						continue;
+					}
+
+					const eliminations = this.sudoku.SQUARES.filter(square =>
+						square !== pivot &&
+                        peers_map[a].indexOf(square) !== -1 &&
+                        peers_map[b].indexOf(square) !== -1 &&
+                        this._is_open(state.values, square) &&
+                        state.candidates[square].indexOf(z) !== -1
+					).map(square => ({square: square, digit: z}));
+
+					if(eliminations.length){
+						return this._step('XY-Wing', [pivot, a, b], [],
+							eliminations,
+							'Either ' + a + ' or ' + b + ' must be ' + z +
+                                ', depending on whether pivot ' + pivot +
+                                ' is ' + y + ' or ' + x);
+					}
+				}
+			}
+		}
+		return false;
+	}
+
+	_find_simple_coloring(state){
+		/* Link the squares of a digit that are its only two places in a unit,
+        and color each chain of links with two alternating colors. One color
+        is true and the other false. If two squares of one color see each
+        other, that color is false (color wrap). A square seeing both colors
+        can't have the digit (color trap).
+        */
+		const peers_map = this.sudoku.SQUARE_PEERS_MAP;
+		for(const di in this.sudoku.DIGITS){
+			const digit = this.sudoku.DIGITS[di];
+
+			// Map squares to their conjugates, i.e., linked squares
+			const links = {};
+			for(const ui in this.sudoku.UNITS){
+				const places = this._places(state, this.sudoku.UNITS[ui], digit);
+				if(places.length === 2){
+					for(const [a, b] of [places, places.slice().reverse()]){
+						links[a] = links[a] || [];
+						if(links[a].indexOf(b) === -1){
+							links[a].push(b);
+						}
+					}
+				}
+			}
+
+			// Color each chain, in square order for a stable result
+			const colored = {};
+			for(const si in this.sudoku.SQUARES){
+				const start = this.sudoku.SQUARES[si];
+				if(!links[start] || colored[start] !== undefined){
+					continue;
+				}
+
+				const colors = [[], []];
+				const queue = [start];
+				colored[start] = 0;
+				while(queue.length){
+					const square = queue.shift();
+					colors[colored[square]].push(square);
+					for(const li in links[square]){
+						const link = links[square][li];
+						if(colored[link] === undefined){
+							colored[link] = 1 - colored[square];
+							queue.push(link);
+						}
+					}
+				}
+				const chain = colors[0].concat(colors[1]);
+
+				// Color wrap
+				for(const ci in colors){
+					const color = colors[ci];
+					const wrapped = color.some(a => color.some(
+						b => peers_map[a].indexOf(b) !== -1));
+					if(wrapped){
+						return this._step('Simple Coloring', chain, [],
+							color.map(square => ({square: square, digit: digit})),
+							digit + ' can\'t go in ' + color.join(', ') +
+                                ', since two of them see each other');
+					}
+				}
+
+				// Color trap
+				const sees = (square, color) => color.some(
+					colored_square => peers_map[square].indexOf(colored_square) !== -1);
+				const eliminations = this.sudoku.SQUARES.filter(square =>
+					colored[square] === undefined &&
+                    this._is_open(state.values, square) &&
+                    state.candidates[square].indexOf(digit) !== -1 &&
+                    sees(square, colors[0]) && sees(square, colors[1])
+				).map(square => ({square: square, digit: digit}));
+				if(eliminations.length){
+					return this._step('Simple Coloring', chain, [], eliminations,
+						digit + ' must go in either all of ' +
+                            colors[0].join(', ') + ' or all of ' +
+                            colors[1].join(', '));
+				}
+			}
+		}
+		return false;
+	}
+
+	// Utility
+	// -------------------------------------------------------------------------
+
+	_step(technique, squares, placements, eliminations, description, units){
+		/* Return a step of the solution log, with the names of the `units`
+        its pattern is in, if any
+        */
+		return {
+			technique: technique,
+			squares: squares,
+			units: (units || []).map(unit => this.UNIT_NAMES.get(unit)),
+			placements: placements,
+			eliminations: eliminations,
+			description: technique + ': ' + description,
+		};
+	}
+
+	*_combinations(seq, size, start){
+		/* Yield every combination of `size` elements of `seq`, in order */
+		start = start || 0;
+		if(size === 0){
+			yield [];
+			return;
+		}
+		for(let i = start; i <= seq.length - size; ++i){
+			for(const rest of this._combinations(seq, size - 1, i + 1)){
+				yield [seq[i]].concat(rest);
+			}
+		}
+	}
+
+	_union(seqs){
+		/* Return the distinct elements of all `seqs`. Strings of digits give a
+        string in digit order, arrays of squares an array in square order.
+        */
+		const is_string = typeof seqs[0] === 'string';
+		const order = is_string ? this.sudoku.DIGITS : this.sudoku.SQUARES;
+		const elements = this.sudoku._strip_dups(
+			[].concat(...seqs.map(seq => [...seq])));
+		elements.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+		return is_string ? elements.join('') : elements;
+	}
+
+	_row(square){
+		/* Return the row label of `square` */
+		return square[0];
+	}
+
+	_col(square){
+		/* Return the column label of `square` */
+		return square.slice(1);
+	}
+}
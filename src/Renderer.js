@@ -0,0 +1,362 @@
+import { InvalidOptionError } from './errors.js';
+
+// Styles of rendered boards, see `Sudoku.render`:
+//   "plain":     Digits with space between boxes, like `print_board`
+//   "ascii":     Digits with "|" and "-+-" lines between boxes
+//   "unicode":   Digits in a frame of box-drawing characters
+//   "html":      An accessible table, styled with CSS classes
+//   "svg":       A printable image
+export const STYLES = ['plain', 'ascii', 'unicode', 'html', 'svg'];
+
+// Characters of the text styles: `line` of the lines between boxes, `split`
+// between the boxes of a row, `edge` of the left and right of a row, if any,
+// `crossing` of lines without edges, and the [left, crossing, right] of the
+// top, middle and bottom lines with edges
+const TEXT_STYLES = {
+	'plain':    {line: '', edge: null, split: '  '},
+	'ascii':    {line: '-', edge: null, split: '| ', crossing: '+'},
+	'unicode':  {line: '─', split: '│ ', edge: '│',
+		top: ['┌', '┬', '┐'], middle: ['├', '┼', '┤'], bottom: ['└', '┴', '┘']},
+};
+
+// Size of a square in SVG, and the width of thin and box lines
+const SVG_SQUARE = 40;
+const SVG_LINE = 1;
+const SVG_BOX_LINE = 3;
+
+export default class Renderer {
+	style = 'plain';            // One of STYLES
+	givens = null;              // Board of the givens, or null if all are
+	candidates = null;          // Square -> candidates to draw as pencil marks
+	highlight = {};             // Square -> true, for highlighted squares
+
+	constructor(sudoku, options){
+		/* Create a renderer for boards of a `sudoku` instance, with the
+        `options` of `Sudoku.render`.
+        */
+		options = options || {};
+		this.sudoku = sudoku;
+		this.style = options.style || this.style;
+		if(!sudoku._in(this.style, STYLES)){
+			throw new InvalidOptionError('Invalid style "' + this.style +
+                '". Must be one of ' + STYLES.join(', ') + '.',
+			{option: 'style', value: this.style});
+		}
+		if(options.givens){
+			sudoku._check_board(options.givens);
+			this.givens = options.givens;
+		}
+
+		// Candidates are a grid, like `get_candidates`, or a map, like the
+		// pencil marks of a game
+		if(Array.isArray(options.candidates)){
+			this.candidates = {};
+			const flat = [].concat(...options.candidates);
+			for(const si in sudoku.SQUARES){
+				this.candidates[sudoku.SQUARES[si]] = flat[si] || '';
+			}
+		} else if(options.candidates){
+			this.candidates = options.candidates;
+		}
+		for(const square of options.highlight || []){
+			this.highlight[square] = true;
+		}
+	}
+
+	render(board){
+		/* Return `board` rendered in the style of the renderer.
+        */
+		const squares = this.sudoku.SQUARES.map(
+			(square, si) => this._get_square(board, si));
+		if(this.style === 'html'){
+			return this._render_html(squares);
+		} else if(this.style === 'svg'){
+			return this._render_svg(squares);
+		}
+		return this._render_text(squares);
+	}
+
+	_get_square(board, si){
+		/* Return what to draw in square index `si` of `board`, as {square,
+        value, kind, marks, highlighted}, where `kind` is "given", "entry" or
+        "blank", and `marks` are its candidates, if it's blank.
+        */
+		const square = this.sudoku.SQUARES[si];
+		const value = board[si];
+		let kind = 'blank';
+		if(value !== this.sudoku.BLANK_CHAR){
+			kind = !this.givens || this.givens[si] === value ? 'given' : 'entry';
+		}
+		return {
+			square: square,
+			value: value,
+			kind: kind,
+			marks: kind === 'blank' && this.candidates ?
+				this.candidates[square] || '' : '',
+			highlighted: !!this.highlight[square],
+		};
+	}
+
+	_get_box(si){
+		/* Return the name of the box, or jigsaw region, of square index `si`.
+        */
+		const sudoku = this.sudoku;
+		if(sudoku.REGIONS){
+			return sudoku.REGIONS[si];
+		}
+		const r = Math.floor(si / sudoku.SIZE);
+		const c = si % sudoku.SIZE;
+		return Math.floor(r / sudoku.BOX_ROWS) + ':' +
+            Math.floor(c / sudoku.BOX_COLS);
+	}
+
+	_get_mark_position(digit){
+		/* Return the [row, column] of `digit` among the pencil marks of a
+        square, laid out like the squares of a box.
+        */
+		const di = this.sudoku.DIGITS.indexOf(digit);
+		return [Math.floor(di / this.sudoku.BOX_COLS),
+			di % this.sudoku.BOX_COLS];
+	}
+
+	// Text
+	// -------------------------------------------------------------------------
+
+	_render_text(squares){
+		/* Return `squares` as lines of text. A square is its digit, or, with
+        candidates, a small grid of them, and a space between squares. If any
+        squares are highlighted, every square gets a column for a "*" after
+        it, so the columns line up. Jigsaw regions aren't drawn.
+        */
+		const sudoku = this.sudoku;
+		const chars = TEXT_STYLES[this.style];
+		const box_rows = sudoku.REGIONS ? sudoku.SIZE : sudoku.BOX_ROWS;
+		const box_cols = sudoku.REGIONS ? sudoku.SIZE : sudoku.BOX_COLS;
+		const height = this.candidates ? sudoku.BOX_ROWS : 1;
+		const marked = Object.keys(this.highlight).length > 0;
+
+		// Lines of the squares of row `r`, before trimming, with the boxes
+		// split by `chars.split`
+		const row_lines = r => {
+			const lines = [];
+			for(let l = 0; l < height; ++l){
+				const boxes = [];
+				for(let c = 0; c < sudoku.SIZE; ++c){
+					const square = squares[r * sudoku.SIZE + c];
+					const bi = Math.floor(c / box_cols);
+					const marker = !marked ? '' : 
+						l === 0 && square.highlighted ? '*' : ' ';
+					boxes[bi] = (boxes[bi] || '') + 
+                        this._get_text_lines(square)[l] + marker + ' ';
+				}
+				lines.push(boxes);
+			}
+			return lines;
+		};
+		const join = boxes => chars.edge ?
+			chars.edge + ' ' + boxes.join(chars.split) + chars.edge :
+			boxes.join(chars.split).trimEnd();
+
+		// Lines between boxes, and at the edges, as wide as the boxes
+		const widths = row_lines(0)[0].map(box => box.length);
+		const rule = (line, ends) => {
+			if(!line){
+				return '';
+			}
+			if(ends){
+				return ends[0] + widths.map(width => line.repeat(width + 1))
+					.join(ends[1]) + ends[2];
+			}
+			return widths.map((width, bi) => line.repeat(
+				width + (bi ? 1 : 0) - (bi === widths.length - 1 ? 1 : 0)))
+				.join(chars.crossing);
+		};
+		const spacer = () => join(widths.map(width => ' '.repeat(width)));
+
+		const lines = chars.top ? [rule(chars.line, chars.top)] : [];
+		for(let r = 0; r < sudoku.SIZE; ++r){
+			if(r && r % box_rows === 0){
+				lines.push(rule(chars.line, chars.middle));
+			} else if(r && height > 1){
+				lines.push(spacer());
+			}
+			for(const boxes of row_lines(r)){
+				lines.push(join(boxes));
+			}
+		}
+		if(chars.bottom){
+			lines.push(rule(chars.line, chars.bottom));
+		}
+		return lines.join('\n');
+	}
+
+	_get_text_lines(square){
+		/* Return the lines of text of `square`, its digit, or with
+        candidates, a grid of its pencil marks, with "." for the digits that
+        aren't, or its digit in the middle.
+        */
+		const sudoku = this.sudoku;
+		if(!this.candidates){
+			return [square.value];
+		}
+		const grid = [];
+		for(let r = 0; r < sudoku.BOX_ROWS; ++r){
+			grid.push(Array(sudoku.BOX_COLS).fill(
+				square.kind === 'blank' ? '.' : ' '));
+		}
+		if(square.kind === 'blank'){
+			for(const digit of square.marks){
+				const [r, c] = this._get_mark_position(digit);
+				grid[r][c] = digit;
+			}
+		} else {
+			const middle = grid[Math.floor((sudoku.BOX_ROWS - 1) / 2)];
+			middle[Math.floor((sudoku.BOX_COLS - 1) / 2)] = square.value;
+		}
+		return grid.map(row => row.join(''));
+	}
+
+	// HTML
+	// -------------------------------------------------------------------------
+
+	_render_html(squares){
+		/* Return `squares` as an HTML table. Every cell has a label for screen
+        readers, and the classes "given", "entry" or "blank", "highlight",
+        and "box-right" or "box-bottom" where a box, or region, ends.
+        */
+		const sudoku = this.sudoku;
+		const rows = [];
+		for(let r = 0; r < sudoku.SIZE; ++r){
+			const cells = [];
+			for(let c = 0; c < sudoku.SIZE; ++c){
+				const si = r * sudoku.SIZE + c;
+				const square = squares[si];
+				const classes = [square.kind];
+				if(square.highlighted){
+					classes.push('highlight');
+				}
+				if(c < sudoku.SIZE - 1 &&
+                        this._get_box(si) !== this._get_box(si + 1)){
+					classes.push('box-right');
+				}
+				if(r < sudoku.SIZE - 1 &&
+                        this._get_box(si) !== this._get_box(si + sudoku.SIZE)){
+					classes.push('box-bottom');
+				}
+
+				let label = square.square + ', ' + (square.kind === 'blank' ?
+					'blank' : square.kind + ' ' + square.value);
+				if(square.marks){
+					label += ', candidates ' + square.marks.split('').join(' ');
+				}
+				if(square.highlighted){
+					label += ', highlighted';
+				}
+
+				let content = square.kind === 'blank' ? '' : square.value;
+				if(square.marks){
+					content = '<div class="marks">' + [...sudoku.DIGITS].map(
+						digit => '<span>' + (sudoku._in(digit, square.marks) ?
+							digit : '') + '</span>').join('') + '</div>';
+				}
+				cells.push('<td class="' + classes.join(' ') + '" aria-label="' +
+                    label + '">' + content + '</td>');
+			}
+			rows.push('<tr>' + cells.join('') + '</tr>');
+		}
+		return '<table class="sudoku" aria-label="Sudoku board">\n<tbody>\n' +
+            rows.join('\n') + '\n</tbody>\n</table>';
+	}
+
+	// SVG
+	// -------------------------------------------------------------------------
+
+	_render_svg(squares){
+		/* Return `squares` as an SVG image, with givens in bold, entries in
+        blue, pencil marks small and grey, highlighted squares yellow, and
+        thick lines around boxes, or regions.
+        */
+		const sudoku = this.sudoku;
+		const size = sudoku.SIZE * SVG_SQUARE;
+		const margin = SVG_BOX_LINE / 2;
+		const number = value => String(Math.round(value * 100) / 100);
+		const elements = ['<rect width="' + size + '" height="' + size +
+            '" fill="#fff"/>'];
+
+		// Highlighted squares, then the thin lines between all squares
+		for(let si = 0; si < sudoku.NR_SQUARES; ++si){
+			if(squares[si].highlighted){
+				elements.push('<rect class="highlight" x="' +
+                    si % sudoku.SIZE * SVG_SQUARE + '" y="' +
+                    Math.floor(si / sudoku.SIZE) * SVG_SQUARE + '" width="' +
+                    SVG_SQUARE + '" height="' + SVG_SQUARE +
+                    '" fill="#fff3b0"/>');
+			}
+		}
+		const line = (x1, y1, x2, y2, width) => '<line x1="' + x1 + '" y1="' +
+            y1 + '" x2="' + x2 + '" y2="' + y2 + '" stroke="#000" ' +
+            'stroke-width="' + width + '" stroke-linecap="square"/>';
+		for(let i = 1; i < sudoku.SIZE; ++i){
+			const offset = i * SVG_SQUARE;
+			elements.push(line(offset, 0, offset, size, SVG_LINE)
+				.replace('#000', '#999'));
+			elements.push(line(0, offset, size, offset, SVG_LINE)
+				.replace('#000', '#999'));
+		}
+
+		// Thick lines between squares of different boxes, and around the board
+		for(let si = 0; si < sudoku.NR_SQUARES; ++si){
+			const x = si % sudoku.SIZE * SVG_SQUARE;
+			const y = Math.floor(si / sudoku.SIZE) * SVG_SQUARE;
+			if(si % sudoku.SIZE < sudoku.SIZE - 1 &&
+                    this._get_box(si) !== this._get_box(si + 1)){
+				elements.push(line(x + SVG_SQUARE, y, x + SVG_SQUARE,
+					y + SVG_SQUARE, SVG_BOX_LINE));
+			}
+			if(si + sudoku.SIZE < sudoku.NR_SQUARES &&
+                    this._get_box(si) !== this._get_box(si + sudoku.SIZE)){
+				elements.push(line(x, y + SVG_SQUARE, x + SVG_SQUARE,
+					y + SVG_SQUARE, SVG_BOX_LINE));
+			}
+		}
+		elements.push('<rect width="' + size + '" height="' + size +
+            '" fill="none" stroke="#000" stroke-width="' + SVG_BOX_LINE + '"/>');
+
+		// Digits and pencil marks
+		const text = (cls, x, y, font_size, attributes, value) => '<text ' +
+            'class="' + cls + '" x="' + number(x) + '" y="' + number(y) +
+            '" font-size="' + number(font_size) + '" ' + attributes +
+            'text-anchor="middle" dominant-baseline="central">' + value +
+            '</text>';
+		const mark_width = SVG_SQUARE / sudoku.BOX_COLS;
+		const mark_height = SVG_SQUARE / sudoku.BOX_ROWS;
+		for(let si = 0; si < sudoku.NR_SQUARES; ++si){
+			const square = squares[si];
+			const x = si % sudoku.SIZE * SVG_SQUARE;
+			const y = Math.floor(si / sudoku.SIZE) * SVG_SQUARE;
+			if(square.kind === 'given'){
+				elements.push(text('given', x + SVG_SQUARE / 2,
+					y + SVG_SQUARE / 2, SVG_SQUARE * 0.6,
+					'font-weight="bold" fill="#000" ', square.value));
+			} else if(square.kind === 'entry'){
+				elements.push(text('entry', x + SVG_SQUARE / 2,
+					y + SVG_SQUARE / 2, SVG_SQUARE * 0.6, 'fill="#1a56db" ',
+					square.value));
+			}
+			for(const digit of square.marks){
+				const [r, c] = this._get_mark_position(digit);
+				elements.push(text('mark', x + (c + 0.5) * mark_width,
+					y + (r + 0.5) * mark_height,
+					Math.min(mark_width, mark_height) * 0.75, 'fill="#666" ',
+					digit));
+			}
+		}
+
+		const full = size + SVG_BOX_LINE;
+		return '<svg xmlns="http://www.w3.org/2000/svg" viewBox="' +
+            -margin + ' ' + -margin + ' ' + full + ' ' + full + '" width="' +
+            full + '" height="' + full + '" font-family="sans-serif" ' +
+            'role="img" aria-label="Sudoku board">\n' +
+            elements.join('\n') + '\n</svg>';
+	}
+}
@@ -1,3 +1,15 @@
+import BitSolver from './BitSolver.js';
+import LogicalSolver, { RATINGS } from './LogicalSolver.js';
+import Transformer from './Transformer.js';
+import Renderer, { STYLES } from './Renderer.js';
+import { InvalidLengthError, InvalidCharacterError, TooFewGivensError, 
+	ContradictoryBoardError, UnsolvableBoardError, InvalidOptionError, 
+	ParseError } from './errors.js';
+
+export { RATINGS, STYLES };
+export { default as Game } from './Game.js';
+export * from './errors.js';
+
 export const DIFFICULTY = {
 	'easy':         62,
 	'medium':       53,
@@ -7,15 +19,68 @@ export const DIFFICULTY = {
 	'inhuman':      17,
 };
 
+// Symbols and row labels for boards of up to 26x26 squares
+const SYMBOLS = '123456789ABCDEFGHIJKLMNOPQ';
+const ROW_LABELS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Variants, i.e., extra regions where every digit appears once:
+//   "x":           Sudoku X, both main diagonals
+//   "hyper":       Hyper Sudoku or Windoku, a window between each 2x2 boxes
+//   "centre-dot":  The squares in the centre of every box
+export const VARIANTS = ['x', 'hyper', 'centre-dot'];
+
+// Board file formats, see `parse_board` and `format_board`:
+//   "line":          A line of digits, and "." or "0" for blanks, e.g., top95
+//   "zeros":         The same, written with "0" for blanks
+//   "sdk":           SadMan Sudoku, a line per row and "#" comments
+//   "ss":            Simple Sudoku, rows with "|" and "-" between boxes
+//   "pencil-marks":  HoDoKu candidates grid, the candidates of every square
+export const FORMATS = ['line', 'zeros', 'sdk', 'ss', 'pencil-marks'];
+
+// Symmetries of the givens of generated puzzles, see `generate`:
+//   "none":            Givens anywhere
+//   "rotational":      The same after turning the board by 180 degrees
+//   "rotational-90":   The same after turning the board by 90 degrees
+//   "horizontal":      Mirrored left to right
+//   "vertical":        Mirrored top to bottom
+//   "diagonal":        Mirrored on the diagonal from A1
+export const SYMMETRIES = ['none', 'rotational', 'rotational-90', 'horizontal',
+	'vertical', 'diagonal'];
+
+// Levels of hints, from giving away the least to the most, see `hint`
+export const HINT_LEVELS = ['region', 'technique', 'move'];
+
+// Milliseconds `generate_async` works for at a time, before letting other
+// work run
+const ASYNC_SLICE = 10;
+
+// Board size -> smallest number of givens a unique puzzle can have, where
+// known. Other sizes need at least one less given than there are digits.
+const KNOWN_MIN_GIVENS = {
+	4:  4,
+	6:  8,
+	9:  17,
+};
+
 export default class Sudoku {
+	BOX_ROWS = 3;               // Rows per box
+	BOX_COLS = 3;               // Columns per box
+	SIZE = 9;                   // Rows, columns and digits per board
+
 	DIGITS = '123456789';       // Allowed sudoku.DIGITS
 	ROWS = 'ABCDEFGHI';         // Row labels
 	COLS = this.DIGITS;         // Column labels
 	SQUARES = [];             // Square IDs
 
-	UNITS = [];               // All units (row, column, or box)
+	UNITS = [];               // All units (row, column, box, or variant)
+	VARIANTS = [];            // Variants, see VARIANTS
+	VARIANT_UNITS = [];       // Extra units of the variants, as [name, unit]
+	REGIONS = null;           // Jigsaw region map, one character per square
+	CAGES = [];               // Killer cages, as {squares, sum, combos}
 	SQUARE_UNITS_MAP = {};    // Squares -> units map
 	SQUARE_PEERS_MAP = {};    // Squares -> peers map
+	SQUARE_CAGE_MAP = {};     // Squares -> cage map
+	SOLVER = null;            // Bitmask solver, see BitSolver
 
 	MIN_GIVENS = 17;            // Minimum number of givens 
 	NR_SQUARES = 81;            // Number of squares
@@ -23,16 +88,118 @@ export default class Sudoku {
 	BLANK_CHAR = '.';
 	BLANK_BOARD = '.................................................................................';
 
-	constructor(){
+	random = Math.random;     // Random number generator in [0, 1)
+	deadline = Infinity;      // Time to give up generating, as Date.now()
+	signal = null;            // AbortSignal to stop generating on
+
+	constructor(options){
 		/* Initialize the Sudoku library (invoked after library load)
+
+        `options` is an optional object with any of:
+
+            seed: Seed, a number or a string, for a deterministic random
+                number generator, so that the same seed always generates the
+                same puzzles, on every platform.
+
+            random: A function returning random numbers in [0, 1), used
+                instead of Math.random, e.g., to plug in your own generator.
+
+            box_rows, box_cols: Number of rows and columns per box, 3 by
+                default. The board has as many rows, columns and digits as
+                there are squares in a box, e.g., {box_rows: 2, box_cols: 3}
+                for a 6x6 board. Digits are 1-9, then A, B, C, etc.
+
+            variant: One of VARIANTS, or a list of them, adding regions where
+                every digit must appear once, e.g., {variant: "x"} for
+                Sudoku X, or {variant: ["x", "hyper"]} for both.
+
+            regions: Jigsaw Sudoku region map, used instead of boxes, as a
+                string with a character per square naming its region, e.g.,
+                "AAABBBCCCAAABBBCCC...". It must split the board into as many
+                connected regions as there are digits, each with as many
+                squares, see `validate_regions`.
+
+            cages: Killer Sudoku cages, as a list of {squares, sum}, e.g.,
+                {squares: ["A1", "A2"], sum: 3}. The digits in a cage add up
+                to its sum, and don't repeat. A square is in at most one cage.
+                Killer puzzles may have no givens at all.
         */
+		options = options || {};
+		if(options.random){
+			this.random = options.random;
+		} else if(options.seed !== undefined){
+			this.random = this._seeded_random(options.seed);
+		}
+
+		// Derive the board layout from the box size
+		this.BOX_ROWS = options.box_rows || this.BOX_ROWS;
+		this.BOX_COLS = options.box_cols || this.BOX_COLS;
+		this.SIZE = this.BOX_ROWS * this.BOX_COLS;
+		if(this.BOX_ROWS < 2 || this.BOX_COLS < 2 || 
+                this.SIZE > SYMBOLS.length){
+			throw new InvalidOptionError('Invalid box size. Boxes must have ' +
+                'at least 2 rows and 2 columns, and at most ' + SYMBOLS.length +
+                ' squares.', {option: 'box_rows, box_cols', 
+				value: [this.BOX_ROWS, this.BOX_COLS]});
+		}
+		this.DIGITS = SYMBOLS.slice(0, this.SIZE);
+		this.ROWS = ROW_LABELS.slice(0, this.SIZE);
+
+		// Column labels are a string, like ROWS, while each is one
+		// character, and a list of them past 9 columns
+		const cols = [];
+		for(let c = 1; c <= this.SIZE; ++c){
+			cols.push(String(c));
+		}
+		this.COLS = this.SIZE <= 9 ? cols.join('') : cols;
+		this.NR_SQUARES = this.SIZE * this.SIZE;
+		this.BLANK_BOARD = this.BLANK_CHAR.repeat(this.NR_SQUARES);
+
+		// Variants have fewer known givens, so only require one less given
+		// than there are digits
+		this.VARIANTS = [].concat(options.variant || []);
+		this.MIN_GIVENS = this.VARIANTS.length ? this.SIZE - 1 :
+			KNOWN_MIN_GIVENS[this.SIZE] || this.SIZE - 1;
+		if(options.cages){
+			this.MIN_GIVENS = 0;
+		}
+
 		this.SQUARES             = this._cross(this.ROWS, this.COLS);
-		this.UNITS               = this._get_all_units(this.ROWS, this.COLS);
+		if(options.regions){
+			const report = this.validate_regions(options.regions);
+			if(report !== true){
+				throw new InvalidOptionError(report, 
+					{option: 'regions', value: options.regions});
+			}
+			this.REGIONS = options.regions;
+		}
+		this.VARIANT_UNITS       = this._get_variant_units(this.VARIANTS);
+		this.UNITS               = this._get_all_units(this.ROWS, this.COLS)
+			.concat(this.VARIANT_UNITS.map(named_unit => named_unit[1]));
 		this.SQUARE_UNITS_MAP    = this._get_square_units_map(this.SQUARES, this.UNITS);
 		this.SQUARE_PEERS_MAP    = this._get_square_peers_map(this.SQUARES, this.SQUARE_UNITS_MAP);
+
+		// Squares in a cage can't repeat digits, so they're peers, too
+		this.CAGES               = this._get_cages(options.cages || []);
+		for(const ci in this.CAGES){
+			const cage = this.CAGES[ci];
+			for(const si in cage.squares){
+				const square = cage.squares[si];
+				this.SQUARE_CAGE_MAP[square] = cage;
+				for(const pi in cage.squares){
+					const peer = cage.squares[pi];
+					if(peer !== square && 
+                            !this._in(peer, this.SQUARE_PEERS_MAP[square])){
+						this.SQUARE_PEERS_MAP[square].push(peer);
+					}
+				}
+			}
+		}
+
+		this.SOLVER              = new BitSolver(this);
 	}
 
-	generate = function(difficulty){
+	generate = function(difficulty, options){
 		/* Generate a new Sudoku puzzle of a particular `difficulty`, e.g.,
         
             // Generate an "easy" sudoku puzzle
@@ -57,115 +224,901 @@ export default class Sudoku {
     
         `difficulty` must be a number between 17 and 81 inclusive. If it's
         outside of that range, `difficulty` will be set to the closest bound,
-        e.g., 0 -> 17, and 100 -> 81.
+        e.g., 0 -> 17, and 100 -> 81. On other board sizes, the bounds are
+        MIN_GIVENS and NR_SQUARES, and the named difficulties give the same
+        share of the squares as on a 9x9 board.
         
         
-        By default, the puzzles are unique, uless you set `unique` to false. 
-        (Note: Puzzle uniqueness is not yet implemented, so puzzles are *not* 
-        guaranteed to have unique solutions)
-        
-        TODO: Implement puzzle uniqueness
+        `options` is an object with any of:
+
+            unique: By default, the puzzles are unique, i.e., have exactly one
+                solution, unless you set `unique` to false, e.g.,
+                sudoku.generate("easy", {unique: false}). A unique puzzle may
+                need more givens than requested, in which case it will have as
+                few as could be found. `options` may also be just the value of
+                `unique`, e.g., sudoku.generate("easy", false).
+
+            rating: Only return unique puzzles of this rating, see `rate`,
+                e.g., sudoku.generate("hard", {rating: "hard"}). `difficulty`
+                then is where the search starts, and givens are added or
+                removed until the rating is met. If `difficulty` is undefined,
+                the search starts from the difficulty of the same name.
+
+            seed: Seed for this puzzle only, e.g., a puzzle number. The same
+                seed and options always give the same puzzle.
+
+            max_attempts: Give up after this many attempts, each a fresh
+                random board, and return false.
+
+            timeout: Give up once this many milliseconds have passed, and
+                return false. The time is checked between attempts, and
+                within each attempt, as givens are revealed and removed.
+
+            signal: An AbortSignal to cancel generating, e.g.,
+                AbortSignal.timeout(1000). Once it's aborted, the signal's
+                reason is thrown. It's checked between attempts, and within
+                them, like the time, and since `generate` blocks the event
+                loop, a signal can only be aborted meanwhile with
+                `generate_async`.
+
+            minimal: Keep removing givens, past `difficulty`, until every
+                given left is needed for the puzzle to be unique, see
+                `is_minimal`, e.g., sudoku.generate("hard", {minimal: true}).
+                With `symmetry`, every group of givens left is needed. With
+                `rating`, only givens whose removal keeps the rating are
+                removed, and puzzles that would need others removed are
+                skipped.
+
+            symmetry: Place the givens symmetrically, one of SYMMETRIES, e.g.,
+                sudoku.generate("hard", {symmetry: "rotational"}). Givens
+                come in groups of squares that map onto each other, so a
+                puzzle may have up to a group's size - 1 more givens than
+                requested. "none" by default.
+
+        Without `max_attempts` or `timeout`, keep trying until a puzzle is
+        found. See `generate_async` to keep the event loop responsive.
+        */
+		const attempts = this._generate_attempts(difficulty, options);
+		let result = attempts.next();
+		while(!result.done){
+			result = attempts.next();
+		}
+		return result.value;
+	};
+
+	async generate_async(difficulty, options){
+		/* Like `generate`, but return a promise of the puzzle, and let other
+        work run every few milliseconds, even within an attempt, e.g.,
+
+            // Give up after a second, or when the request is closed
+            const board = await sudoku.generate_async("inhuman", {
+                timeout: 1000,
+                signal: request.signal,
+            });
+            if(!board){
+                // No puzzle found in time
+            }
         */
+		const attempts = this._generate_attempts(difficulty, options);
+		let slice_start = Date.now();
+		let result = attempts.next();
+		while(!result.done){
+			if(Date.now() - slice_start >= ASYNC_SLICE){
+				await new Promise(resolve => setTimeout(resolve));
+				slice_start = Date.now();
+			}
+			result = attempts.next();
+		}
+		return result.value;
+	}
+
+	*_generate_attempts(difficulty, options){
+		/* Try generating a puzzle until one is found, yielding between the
+        steps of every attempt, and after every failed attempt, and return
+        it, or false once the attempts or time of `options` run out. See
+        `generate` for the arguments.
+        */
+
+		// Default options
+		if(options === null){
+			options = {};
+		} else if(typeof options !== 'object'){
+			options = {unique: options};
+		}
+		const max_attempts = options.max_attempts || Infinity;
+		const timeout = options.timeout === undefined ? Infinity : 
+			options.timeout;
+		const start = Date.now();
+
+		// A seeded puzzle has its own random number generator
+		const random = options.seed === undefined ? null :
+			this._seeded_random(options.seed);
+		const unique = options.unique !== false || !!options.rating || 
+            !!options.minimal;
+		const rating = options.rating;
+		if(rating !== undefined && !this._in(rating, RATINGS)){
+			throw new InvalidOptionError('Invalid rating: ' + rating + 
+                '. Ratings are ' + RATINGS.join(', ') + '.', 
+			{option: 'rating', value: rating});
+		}
+		const minimal = !!options.minimal;
+		const groups = this._get_symmetry_groups(options.symmetry || 'none');
         
 		// If `difficulty` is a string or undefined, convert it to a number or
-		// default it to "easy" if undefined.
+		// default it to "easy" (or the target rating) if undefined.
+		if(typeof difficulty === 'undefined' && rating){
+			difficulty = rating;
+		}
+		// Named difficulties are scaled to the size of the board.
 		if(typeof difficulty === 'string' || typeof difficulty === 'undefined'){
 			difficulty = DIFFICULTY[difficulty] || DIFFICULTY.easy;
+			difficulty = Math.round(difficulty * this.NR_SQUARES / 81);
 		}
         
-		// Force difficulty between 17 and 81 inclusive
-		difficulty = this._force_range(difficulty, this.NR_SQUARES + 1, 
+		// Force difficulty between 17 and 81 inclusive, or MIN_GIVENS and
+		// NR_SQUARES on other board sizes
+		difficulty = this._force_range(difficulty, this.NR_SQUARES, 
 			this.MIN_GIVENS);
-        
-		// Get a set of squares and all possible candidates for each square
-		let blank_board = '';
-		for(let i = 0; i < this.NR_SQUARES; ++i){
-			blank_board += '.';
+
+		for(let attempt = 1; ; ++attempt){
+			if(options.signal){
+				options.signal.throwIfAborted();
+			}
+
+			// Each step of the attempt runs with its own random numbers,
+			// deadline and signal, so that work in between doesn't see them
+			const steps = this._generate_attempt(difficulty, unique, rating, 
+				groups, minimal);
+			let step;
+			for(;;){
+				const default_random = this.random;
+				this.random = random || default_random;
+				this.deadline = start + timeout;
+				this.signal = options.signal || null;
+				try {
+					step = steps.next();
+				} finally {
+					this.random = default_random;
+					this.deadline = Infinity;
+					this.signal = null;
+				}
+				if(step.done){
+					break;
+				}
+				yield;
+			}
+			if(step.value){
+				return step.value;
+			}
+
+			// Give up once out of attempts or time
+			if(attempt >= max_attempts || Date.now() - start >= timeout){
+				return false;
+			}
+			yield;
 		}
-		const candidates = this._get_candidates_map(blank_board);
+	}
+
+	*_generate_attempt(difficulty, unique, rating, groups, minimal){
+		/* Make one attempt at generating a puzzle with `difficulty` givens
+        from a random board, yielding between steps, and return it, or false
+        if it failed. Givens are
+        kept and removed by whole `groups` of square indices, see
+        `_get_symmetry_groups`. If `minimal`, remove every group of givens
+        that isn't needed.
+        */
+        
+		// Get all possible candidates for each square, as masks
+		const candidates = this.SOLVER.candidates(this.BLANK_BOARD);
         
 		// For each item in a shuffled list of squares
 		const shuffled_squares = this._shuffle(this.SQUARES);
-		for(const si in shuffled_squares){
-			const square = shuffled_squares[si];
+		for(const i in shuffled_squares){
+			if(this._past_deadline()){
+				return false;
+			}
+			yield;
+			const si = this.SQUARES.indexOf(shuffled_squares[i]);
             
 			// If an assignment of a random chioce causes a contradictoin, give
 			// up and try again
-			const rand_candidate_idx = 
-                    this._rand_range(candidates[square].length);
-			const rand_candidate = candidates[square][rand_candidate_idx];
-			if(!this._assign(candidates, square, rand_candidate)){
+			const square_digits = this.SOLVER.digits(candidates[si]);
+			const rand_candidate = 
+                    square_digits[this._rand_range(square_digits.length)];
+			if(!this.SOLVER.assign(candidates, si, 
+				this.SOLVER.mask(rand_candidate))){
 				break;
 			}
             
-			// Make a list of all single candidates
-			const single_candidates = [];
-			for(const si in this.SQUARES){
-				const square = this.SQUARES[si];
-                
-				if(candidates[square].length == 1){
-					single_candidates.push(candidates[square]);
+			// Count the single candidates in groups of only single candidates,
+			// and the distinct digits among them
+			let given_groups = groups.filter(group => group.every(
+				gi => this.SOLVER.count(candidates[gi]) === 1));
+			let nr_givens = 0;
+			let single_digits = 0;
+			for(const group of given_groups){
+				nr_givens += group.length;
+				for(const gi of group){
+					single_digits |= candidates[gi];
 				}
 			}
             
 			// If we have at least difficulty, and the unique candidate count is
-			// at least 8, return the puzzle!
-			if(single_candidates.length >= difficulty && 
-                    this._strip_dups(single_candidates).length >= 8){
-				let board = '';
-				let givens_idxs = [];
-				for(const i in this.SQUARES){
-					const square = this.SQUARES[i];
-					if(candidates[square].length == 1){
-						board += candidates[square];
-						givens_idxs.push(i);
-					} else {
-						board += this.BLANK_CHAR;
+			// at least 8 (one less than the number of digits), return the
+			// puzzle!
+			if(nr_givens >= difficulty && 
+                    this.SOLVER.count(single_digits) >= this.SIZE - 1){
+				const board_list = Array(this.NR_SQUARES).fill(this.BLANK_CHAR);
+				for(const group of given_groups){
+					for(const gi of group){
+						board_list[gi] = this.SOLVER.digits(candidates[gi]);
 					}
 				}
                 
 				// If we have more than `difficulty` givens, remove some random
-				// givens until we're down to exactly `difficulty`
-				const nr_givens = givens_idxs.length;
+				// groups of givens until we're down to `difficulty`, or as
+				// close above it as the groups allow
 				if(nr_givens > difficulty){
-					givens_idxs = this._shuffle(givens_idxs);
-					for(let i = 0; i < nr_givens - difficulty; ++i){
-						const target = parseInt(givens_idxs[i]);
-						board = board.substr(0, target) + this.BLANK_CHAR + 
-                            board.substr(target + 1);
+					given_groups = this._shuffle(given_groups);
+					for(const group of given_groups){
+						if(nr_givens - group.length < difficulty){
+							continue;
+						}
+						for(const gi of group){
+							board_list[gi] = this.BLANK_CHAR;
+						}
+						nr_givens -= group.length;
 					}
 				}
+				let board = board_list.join('');
                 
 				// Double check board is solvable
 				// TODO: Make a standalone board checker. Solve is expensive.
-				if(this.solve(board)){
-					return board;
+				const solution = this.solve(board);
+				if(solution){
+					if(!unique){
+						return board;
+					}
+					board = yield* this._make_unique(board, solution, 
+						difficulty, groups);
+					if(board && rating){
+						board = yield* this._make_rating(board, solution, 
+							rating, groups);
+					}
+					if(board && minimal){
+						board = yield* this._make_minimal(board, groups, 
+							rating);
+					}
+					if(board){
+						return board;
+					}
 				}
 			}
 		}
         
-		// Give up and try a new puzzle
-		return this.generate(difficulty);
-	};
+		// Give up, and let the caller try a new puzzle
+		return false;
+	}
+
+	*_make_unique(board, solution, difficulty, groups){
+		/* Turn a solvable `board` into one whose only solution is `solution`,
+        then strip givens back down towards `difficulty` without losing
+        uniqueness. Givens are revealed and removed by whole `groups`. Return
+        the new board, or false once past the deadline.
+        */
+		const square_groups = this._get_square_groups(groups);
+
+		// While the board has more than one solution, reveal the group of a
+		// square from `solution` on which two of its solutions disagree. Every
+		// reveal rules out at least one of them, and `solution` always
+		// survives.
+		for(;;){
+			if(this._past_deadline()){
+				return false;
+			}
+			yield;
+			const it = this.solutions(board);
+			const first = it.next().value;
+			const second = it.next().value;
+			if(second === undefined){
+				break;
+			}
+
+			const diff_idxs = [];
+			for(let i = 0; i < this.NR_SQUARES; ++i){
+				if(first[i] !== second[i]){
+					diff_idxs.push(i);
+				}
+			}
+			const target = diff_idxs[this._rand_range(diff_idxs.length)];
+			board = this._set_group(board, square_groups[target], solution);
+		}
+
+		// Try to remove the extra groups of givens in random order, keeping
+		// each removal only if the puzzle is still unique
+		let nr_givens = 0;
+		for(let i = 0; i < this.NR_SQUARES; ++i){
+			if(board[i] !== this.BLANK_CHAR){
+				++nr_givens;
+			}
+		}
+		const given_groups = this._shuffle(groups.filter(
+			group => board[group[0]] !== this.BLANK_CHAR));
+		for(const group of given_groups){
+			if(this._past_deadline()){
+				return false;
+			}
+			yield;
+			if(nr_givens - group.length < difficulty){
+				continue;
+			}
+			const candidate_board = this._set_group(board, group);
+			if(this._is_unique(candidate_board)){
+				board = candidate_board;
+				nr_givens -= group.length;
+			}
+		}
+
+		return board;
+	}
+
+	*_make_rating(board, solution, rating, groups){
+		/* Turn a unique `board` into one of the given `rating`, revealing
+        groups of squares from its `solution` while it's too hard, then
+        removing groups of givens while it's too easy. Return the new board,
+        or false if the rating couldn't be reached before the deadline.
+        */
+		const target = RATINGS.indexOf(rating);
+		let current = RATINGS.indexOf(this.rate(board).rating);
+
+		// Too hard: reveal random blank groups until it isn't
+		while(current > target){
+			if(this._past_deadline()){
+				return false;
+			}
+			yield;
+			const blank_groups = groups.filter(
+				group => board[group[0]] === this.BLANK_CHAR);
+			const reveal = blank_groups[this._rand_range(blank_groups.length)];
+			board = this._set_group(board, reveal, solution);
+			current = RATINGS.indexOf(this.rate(board).rating);
+		}
+		if(current === target){
+			return board;
+		}
+
+		// Too easy: try to remove each group of givens in random order,
+		// keeping each removal only if the puzzle is still unique and not too
+		// hard
+		const given_groups = this._shuffle(groups.filter(
+			group => board[group[0]] !== this.BLANK_CHAR));
+		for(const group of given_groups){
+			if(this._past_deadline()){
+				return false;
+			}
+			yield;
+			const candidate_board = this._set_group(board, group);
+			if(!this._is_unique(candidate_board)){
+				continue;
+			}
+
+			current = RATINGS.indexOf(this.rate(candidate_board).rating);
+			if(current === target){
+				return candidate_board;
+			}
+			if(current < target){
+				board = candidate_board;
+			}
+		}
+
+		// Every given left is needed, so the puzzle can't get any harder
+		return false;
+	}
+
+	*_make_minimal(board, groups, rating){
+		/* Remove the groups of givens of a unique `board` in random order,
+        keeping each removal only if the puzzle is still unique, and, if
+        given, still of `rating`, and return the new board. Return false if
+        a group that isn't needed is left, to keep the rating, or once past
+        the deadline.
+        */
+		const given_groups = this._shuffle(groups.filter(
+			group => board[group[0]] !== this.BLANK_CHAR));
+		for(const group of given_groups){
+			if(this._past_deadline()){
+				return false;
+			}
+			yield;
+			const candidate_board = this._set_group(board, group);
+			if(this._is_unique(candidate_board) && 
+                    (!rating || this.rate(candidate_board).rating === rating)){
+				board = candidate_board;
+			}
+		}
+
+		// Removing a given only makes the others more needed, so without a
+		// rating one pass is enough
+		if(rating && this._get_redundant_givens(board, groups).length){
+			return false;
+		}
+		return board;
+	}
+
+	_past_deadline(){
+		/* Return if the deadline to generate a puzzle by has passed, or
+        throw the reason of the signal to stop generating on, once it's
+        aborted.
+        */
+		if(this.signal){
+			this.signal.throwIfAborted();
+		}
+		return this.deadline !== Infinity && Date.now() >= this.deadline;
+	}
+
+	_get_redundant_givens(board, groups){
+		/* Return the groups of givens of a unique `board` that could each be
+        removed, keeping the puzzle unique.
+        */
+		return groups.filter(group => board[group[0]] !== this.BLANK_CHAR &&
+            this._is_unique(this._set_group(board, group)));
+	}
+
+	_get_symmetry_groups(symmetry){
+		/* Return the squares of the board in groups that map onto each other
+        under `symmetry`, one of SYMMETRIES, as arrays of square indices, in
+        the order of their first square. Every group is given or blank as a
+        whole in a symmetric puzzle, e.g., "rotational" groups A1 with I9.
+        */
+		const last = this.SIZE - 1;
+		const maps = {
+			'none':             [],
+			'rotational':       [(r, c) => [last - r, last - c]],
+			'rotational-90':    [(r, c) => [c, last - r], 
+				(r, c) => [last - r, last - c], (r, c) => [last - c, r]],
+			'horizontal':       [(r, c) => [r, last - c]],
+			'vertical':         [(r, c) => [last - r, c]],
+			'diagonal':         [(r, c) => [c, r]],
+		};
+		if(!maps[symmetry]){
+			throw new InvalidOptionError('Invalid symmetry: ' + symmetry + 
+                '. Symmetries are ' + SYMMETRIES.join(', ') + '.', 
+			{option: 'symmetry', value: symmetry});
+		}
+
+		const grouped = {};
+		const groups = [];
+		for(let i = 0; i < this.NR_SQUARES; ++i){
+			if(grouped[i]){
+				continue;
+			}
+			const r = Math.floor(i / this.SIZE);
+			const c = i % this.SIZE;
+			const group = [i];
+			grouped[i] = true;
+			for(const map of maps[symmetry]){
+				const [mr, mc] = map(r, c);
+				const mi = mr * this.SIZE + mc;
+				if(!grouped[mi]){
+					group.push(mi);
+					grouped[mi] = true;
+				}
+			}
+			groups.push(group);
+		}
+		return groups;
+	}
+
+	_get_square_groups(groups){
+		/* Return a list of the group of every square index in `groups`.
+        */
+		const square_groups = [];
+		for(const group of groups){
+			for(const gi of group){
+				square_groups[gi] = group;
+			}
+		}
+		return square_groups;
+	}
+
+	_set_group(board, group, solution){
+		/* Return `board` with the squares of `group` set to their digits in
+        `solution`, or blank if there's no `solution`.
+        */
+		const board_list = board.split('');
+		for(const gi of group){
+			board_list[gi] = solution ? solution[gi] : this.BLANK_CHAR;
+		}
+		return board_list.join('');
+	}
+
+	generate_bank(tiers, options){
+		/* Generate a bank of unique puzzles, `tiers` giving the number of
+        puzzles for every difficulty, see `generate`, e.g.,
+
+            >>> sudoku.generate_bank({easy: 2, hard: 1})
+            {
+                puzzles: [
+                    {
+                        tier: "easy",
+                        board: "4.61..9.2...",
+                        solution: "456137982...",
+                        givens: 62,
+                        rating: "easy",
+                        score: 19,
+                        seed: 2784121009,
+                        time: 3.1               // Milliseconds
+                    },
+                    ...
+                ],
+                summary: {
+                    tiers: {
+                        easy: {
+                            requested: 2,
+                            generated: 2,
+                            duplicates: 0,
+                            failed: 0,
+                            ratings: {easy: 2},
+                            givens: {min: 62, max: 62, mean: 62},
+                            time: 6.4
+                        },
+                        ...
+                    },
+                    generated: 3,
+                    duplicates: 0,
+                    failed: 0,
+                    time: 11.2
+                }
+            }
+
+        Every puzzle is checked to have exactly one solution, and puzzles
+        equivalent to one already in the bank, see `are_equivalent`, are
+        skipped as duplicates. Boards larger than 9x9, or with variants,
+        regions or cages, only skip the very same puzzle, since canonicalizing
+        them takes too long, or isn't possible. Generating the same puzzle
+        again only needs its `seed`, e.g., sudoku.generate("easy",
+        {seed: 2784121009}), with the same other options. Times are in
+        milliseconds, rounded to hundredths, and a tier's time includes the
+        puzzles skipped.
+
+        `options` is an object with any of:
+
+            rated: Generate puzzles rated the same as their tier, see `rate`,
+                e.g., a "hard" puzzle is rated "hard". Tiers must then be
+                named difficulties.
+
+            seed: Seed for the whole bank, so the same seed gives the same
+                bank. Every puzzle still has its own `seed`.
+
+            exclude: Boards already in the bank, e.g., from earlier releases,
+                skipped as duplicates, too.
+
+            on_puzzle: Function called with every puzzle as it's generated,
+                e.g., to write it out.
+
+            max_failures: Stop a tier after this many puzzles in a row failed
+                or were duplicates, 100 by default, e.g., when small boards
+                run out of different puzzles.
+
+        And any of the options of `generate`, e.g., symmetry or minimal, used
+        for every puzzle.
+        */
+		options = options || {};
+		const random = options.seed === undefined ? this.random :
+			this._seeded_random(options.seed);
+		const max_failures = options.max_failures || 100;
+		const generate_options = Object.assign({}, options);
+		for(const option of ['rated', 'seed', 'exclude', 'on_puzzle', 
+			'max_failures']){
+			delete generate_options[option];
+		}
+
+		// Puzzles are told apart by their canonical form, unless the layout
+		// can't be transformed, e.g., with variants, or is too large to
+		// canonicalize quickly, i.e., above 9x9
+		const plain = this.SIZE <= 9 && !this.VARIANTS.length && 
+            !this.REGIONS && !this.CAGES.length;
+		const key = board => plain ? this.canonicalize(board).board : board;
+		const seen = new Set((options.exclude || []).map(key));
+
+		const puzzles = [];
+		const summary = {tiers: {}, generated: 0, duplicates: 0, failed: 0,
+			time: 0};
+		for(const tier in tiers){
+			const difficulty = isNaN(tier) ? tier : parseInt(tier);
+			const stats = {requested: tiers[tier], generated: 0, duplicates: 0,
+				failed: 0, ratings: {}, givens: null, time: 0};
+			summary.tiers[tier] = stats;
+
+			let failures = 0;
+			while(stats.generated < stats.requested && 
+                    failures < max_failures){
+				const start = performance.now();
+				const seed = Math.floor(random() * 0x100000000);
+				const board = this.generate(difficulty, Object.assign({}, 
+					generate_options, {seed: seed}, 
+					options.rated ? {rating: tier} : {}));
+				const puzzle = board && this._get_bank_puzzle(board, tier, 
+					seed, options.rated);
+				const board_key = puzzle && key(board);
+				const time = performance.now() - start;
+				stats.time += time;
+
+				if(!puzzle){
+					++stats.failed;
+					++failures;
+					continue;
+				}
+				if(seen.has(board_key)){
+					++stats.duplicates;
+					++failures;
+					continue;
+				}
+				seen.add(board_key);
+				failures = 0;
+
+				puzzle.time = Math.round(time * 100) / 100;
+				puzzles.push(puzzle);
+				++stats.generated;
+				stats.ratings[puzzle.rating] = 
+                    (stats.ratings[puzzle.rating] || 0) + 1;
+				stats.givens = stats.givens ? {
+					min: Math.min(stats.givens.min, puzzle.givens),
+					max: Math.max(stats.givens.max, puzzle.givens),
+					mean: stats.givens.mean + (puzzle.givens - 
+                        stats.givens.mean) / stats.generated,
+				} : {min: puzzle.givens, max: puzzle.givens, 
+					mean: puzzle.givens};
+				if(options.on_puzzle){
+					options.on_puzzle(puzzle);
+				}
+			}
+
+			summary.generated += stats.generated;
+			summary.duplicates += stats.duplicates;
+			summary.failed += stats.failed;
+			summary.time += stats.time;
+			stats.time = Math.round(stats.time * 100) / 100;
+		}
+		summary.time = Math.round(summary.time * 100) / 100;
+
+		return {puzzles: puzzles, summary: summary};
+	}
+
+	_get_bank_puzzle(board, tier, seed, rated){
+		/* Return the record of a generated `board` for a bank, or false if it
+        doesn't have exactly one solution, or, if `rated`, isn't rated
+        `tier`.
+        */
+		if(!this._is_unique(board)){
+			return false;
+		}
+		const report = this.rate(board);
+		if(rated && report.rating !== tier){
+			return false;
+		}
+		return {
+			tier: tier,
+			board: board,
+			solution: this.solve(board),
+			givens: [...board].filter(val => val !== this.BLANK_CHAR).length,
+			rating: report.rating,
+			score: report.score,
+			seed: seed,
+		};
+	}
+
+	generate_killer(givens, options){
+		/* Generate a new Killer Sudoku puzzle, with a unique solution, and
+        return it as {board, cages}, e.g.,
+
+            >>> sudoku.generate_killer()
+            {
+                board: "......................................",  // All blank
+                cages: [{squares: ["A1", "B1"], sum: 9}, ...]
+            }
+
+        By default, the puzzle has no givens, and all the information is in
+        the cages. Otherwise, `givens` squares of the solution are given, too.
+        Solve the puzzle with an instance made with its cages, e.g.,
+
+            new Sudoku({cages: puzzle.cages}).solve(puzzle.board)
+
+        `options` is an object with any of:
+
+            timeout: Give up once this many milliseconds have passed, and
+                return false. The time is checked every time a cage is split.
+        */
+		options = options || {};
+		const timeout = options.timeout === undefined ? Infinity : 
+			options.timeout;
+		const start = Date.now();
+		givens = this._force_range(givens, this.NR_SQUARES, 0);
+		const layout = {
+			box_rows: this.BOX_ROWS,
+			box_cols: this.BOX_COLS,
+			variant: this.VARIANTS,
+			random: this.random,
+		};
+
+		// Start from a random solution, with random cages and givens from it
+		const solution = new Sudoku(layout).generate(this.NR_SQUARES, false);
+		let cages = this._random_cages(solution);
+		let board = this.BLANK_BOARD;
+		const shuffled_squares = this._shuffle(this.SQUARES);
+		for(let i = 0; i < givens; ++i){
+			const target = this.SQUARES.indexOf(shuffled_squares[i]);
+			board = board.substr(0, target) + solution[target] + 
+                board.substr(target + 1);
+		}
+
+		// While there's more than one solution, split the cage of a square on
+		// which two of the solutions disagree, until none do
+		for(;;){
+			const killer = new Sudoku(Object.assign({cages: cages}, layout));
+			const it = killer.solutions(board);
+			const first = it.next().value;
+			const second = it.next().value;
+			if(second === undefined){
+				return {board: board, cages: cages};
+			}
+			if(Date.now() - start >= timeout){
+				return false;
+			}
+
+			const diff_squares = this.SQUARES.filter(
+				(square, i) => first[i] !== second[i]);
+			const square = diff_squares[this._rand_range(diff_squares.length)];
+			cages = this._split_cage(cages, square, solution);
+		}
+	}
+
+	_random_cages(solution){
+		/* Return random cages, as {squares, sum}, covering every square of
+        `solution`. Each cage grows from a random square to up to 5 connected
+        squares with different digits.
+        */
+		const caged = {};
+		const cages = [];
+		const shuffled_squares = this._shuffle(this.SQUARES);
+		for(const si in shuffled_squares){
+			const start = shuffled_squares[si];
+			if(caged[start]){
+				continue;
+			}
+
+			const squares = [start];
+			caged[start] = true;
+			const size = 2 + this._rand_range(4);
+			while(squares.length < size){
+				// Free neighbours of the cage that don't repeat a digit in it
+				const cage_vals = squares.map(
+					square => solution[this.SQUARES.indexOf(square)]);
+				const options = [];
+				for(const ci in squares){
+					const neighbours = this._get_square_neighbours(squares[ci]);
+					for(const ni in neighbours){
+						const neighbour = neighbours[ni];
+						const val = solution[this.SQUARES.indexOf(neighbour)];
+						if(!caged[neighbour] && !this._in(val, cage_vals) &&
+                                !this._in(neighbour, options)){
+							options.push(neighbour);
+						}
+					}
+				}
+				if(!options.length){
+					break;
+				}
+
+				const next = options[this._rand_range(options.length)];
+				squares.push(next);
+				caged[next] = true;
+			}
+			cages.push(this._make_cage(squares, solution));
+		}
+		return cages;
+	}
+
+	_split_cage(cages, square, solution){
+		/* Return `cages` with the cage of `square` split into `square` alone,
+        and the connected groups of the rest of its squares.
+        */
+		const result = [];
+		for(const ci in cages){
+			const cage = cages[ci];
+			if(!this._in(square, cage.squares)){
+				result.push(cage);
+				continue;
+			}
+
+			result.push(this._make_cage([square], solution));
+			let rest = cage.squares.filter(cage_square => cage_square !== square);
+			while(rest.length){
+				// Collect the group connected to the first square left
+				const group = [rest[0]];
+				for(let gi = 0; gi < group.length; ++gi){
+					const neighbours = this._get_square_neighbours(group[gi]);
+					for(const ni in neighbours){
+						if(this._in(neighbours[ni], rest) && 
+                                !this._in(neighbours[ni], group)){
+							group.push(neighbours[ni]);
+						}
+					}
+				}
+				result.push(this._make_cage(group, solution));
+				rest = rest.filter(rest_square => !this._in(rest_square, group));
+			}
+		}
+		return result;
+	}
+
+	_make_cage(squares, solution){
+		/* Return a cage of `squares`, in square order, adding up their digits
+        in `solution`
+        */
+		const idxs = squares.map(square => this.SQUARES.indexOf(square));
+		idxs.sort((a, b) => a - b);
+		return {
+			squares: idxs.map(i => this.SQUARES[i]),
+			sum: idxs.reduce(
+				(sum, i) => sum + this.DIGITS.indexOf(solution[i]) + 1, 0),
+		};
+	}
+
+	_is_unique(board){
+		/* Return if `board` has exactly one solution.
+        */
+		return this.count_solutions(board, 2) === 1;
+	}
 
 	// Solve
 	// -------------------------------------------------------------------------
-	solve = function(board, reverse){
+	solve = function(board, options){
 		/* Solve a sudoku puzzle given a sudoku `board`, i.e., an 81-character 
-        string of sudoku.DIGITS, 1-9, and spaces identified by '.', representing the
-        squares. There must be a minimum of 17 givens. If the given board has no
-        solutions, return false.
+        string of sudoku.DIGITS, 1-9, and spaces identified by '.',
+        representing the squares. There must be a minimum of 17 givens. If
+        the given board has no solutions, including when it repeats a digit
+        in a unit, return false, as it always has, rather than throwing an
+        UnsolvableBoardError or a ContradictoryBoardError, see
+        `validate_board` for those. On other board sizes, the board has
+        NR_SQUARES characters of sudoku.DIGITS, and at least MIN_GIVENS
+        givens.
         
-        Optionally set `reverse` to solve "backwards", i.e., rotate through the
-        possibilities in reverse. Useful for checking if there is more than one
-        solution.
+        `options` is an object with any of:
+
+            reverse: Solve "backwards", i.e., rotate through the possibilities
+                in reverse. Useful for checking if there is more than one
+                solution. `options` may also be just the value of `reverse`,
+                e.g., sudoku.solve(board, true).
+
+            stats: Return the solution with statistics of the work it took,
+                e.g.,
+
+                >>> sudoku.solve(board, {stats: true})
+                {
+                    solution: "417369825632158947958724316825437169...",
+                    stats: {
+                        nodes: 16,          // Search nodes visited
+                        max_depth: 8,       // Deepest nested guess
+                        guesses: 25,        // Digits tried in a search
+                        backtracks: 19,     // Guesses undone
+                        assignments: 177,   // Squares set to a digit
+                        propagations: 1205, // Candidates eliminated
+                        time: 4.74          // Milliseconds
+                    }
+                }
+
+            on_event: Call this with every step of the solver, in order, to
+                follow or animate it, e.g., {type: "eliminate", square: "A3",
+                digit: "7", depth: 1, candidates: "125"}. `type` is one of
+                "assign", of a digit to a square, "eliminate", of a candidate,
+                with the `candidates` left, "guess", of a digit for a square
+                in a search, and "backtrack", from a guess, which undoes every
+                step since it. `depth` is the number of guesses the step is
+                nested in.
         */
         
 		// Assure a valid board
-		const report = this.validate_board(board);
-		if(report !== true){
-			throw report;
-		}
+		this._check_board(board);
         
 		// Check number of givens is at least MIN_GIVENS
 		let nr_givens = 0;
@@ -175,37 +1128,490 @@ export default class Sudoku {
 			}
 		}
 		if(nr_givens < this.MIN_GIVENS){
-			throw 'Too few givens. Minimum givens is ' + this.MIN_GIVENS;
+			throw new TooFewGivensError('Too few givens. Minimum givens is ' + 
+                this.MIN_GIVENS, {givens: nr_givens, minimum: this.MIN_GIVENS});
 		}
 
-		// Default reverse to false
-		reverse = reverse || false;
+		// `options` may be just `reverse`, which defaults to false
+		if(typeof options !== 'object' || options === null){
+			options = {reverse: options};
+		}
+		const reverse = options.reverse || false;
+		const monitored = options.stats || options.on_event;
 
-		const candidates = this._get_candidates_map(board);
-		const result = this._search(candidates, reverse);
-        
-		if(result){
-			let solution = '';
-			for(const square in result){
-				solution += result[square];
+		let solution, stats;
+		if(monitored){
+			this.SOLVER.monitor_start(options.on_event);
+		}
+		try {
+			const candidates = this.SOLVER.candidates(board);
+			const result = this.SOLVER.solutions(candidates, reverse).next();
+			solution = result.done ? false : this.SOLVER.to_board(result.value);
+		} finally {
+			if(monitored){
+				stats = this.SOLVER.monitor_stop();
 			}
-			return solution;
 		}
-		return false;
+		return options.stats ? {solution: solution, stats: stats} : solution;
 	};
 
-	get_candidates = function(board){
+	solve_logically(board, options){
+		/* Solve a sudoku `board` like a person would, using only named
+        techniques, from naked singles up to X-Wings and simple coloring, and
+        return the steps taken, e.g.,
+
+            >>> sudoku.solve_logically(board)
+            {
+                solved: true,
+                board: "527316489896542731...",
+                steps: [
+                    {
+                        technique: "Hidden Single",
+                        squares: ["C8"],
+                        units: ["column 8"],
+                        placements: [{square: "C8", digit: "6"}],
+                        eliminations: [],
+                        description: "Hidden Single: 6 can only go in ..."
+                    },
+                    ...
+                ],
+                stuck: false
+            }
+
+        If no technique applies before the board is solved, e.g., because it
+        needs guessing, `solved` is false and `stuck` holds the board and the
+        grid of candidates where the solver got stuck.
+
+        `options` is an object with any of:
+
+            candidates: A player's pencil marks to start from, instead of the
+                digits not used by the peers of every blank square, as a grid,
+                like `get_candidates`, or a map of square -> candidates, e.g.,
+                game.marks. Blank squares without marks aren't marked yet,
+                and start from the digits not used by their peers. Marks
+                of digits a peer has are dropped first, as if the player had
+                ruled them out. The techniques then go on from what the player
+                has ruled out, which is only sound if they've ruled out no
+                digit wrongly, see `check_candidates`.
+
+        The techniques don't know about the sums of Killer cages, so throw an
+        InvalidOptionError on an instance with cages.
+        */
+
+		// Assure a valid board, without cages
+		this._check_board(board);
+		this._check_no_cages();
+
+		const marks = options && options.candidates && 
+			this._get_marks(board, options.candidates);
+		return new LogicalSolver(this).solve(board, marks);
+	}
+
+	hint(board, options){
+		/* Return a hint for the next move on a sudoku `board`, the step of
+        the simplest technique that applies, see `solve_logically`, e.g.,
+
+            >>> sudoku.hint(board, {givens: puzzle})
+            {
+                level: "move",
+                region: {name: "column 8", squares: ["A8", "B8", ...]},
+                technique: "Hidden Single",
+                squares: ["C8"],
+                units: ["column 8"],
+                placements: [{square: "C8", digit: "6"}],
+                eliminations: [],
+                description: "Hidden Single: 6 can only go in C8 within ..."
+            }
+
+        `options` is an object with any of:
+
+            level: How much to give away, "region", for just the `region` to
+                look at, "technique", for the region and the `technique`, or
+                "move", by default, for the whole step.
+
+            givens: Board of the givens, if `board` has the player's entries,
+                too, e.g., game.givens. The entries are checked against the
+                solution of the givens.
+
+            candidates: The player's pencil marks, to hint from, see
+                `solve_logically`. Blank squares whose marks rule out their
+                digit of the solution count as mistakes, too.
+
+        If the entries contradict the solution, no hint is given, and the
+        wrong entries are returned instead, as {mistakes: ["A3", ...]}. If
+        the givens have no solution, the mistakes are the squares of
+        `find_conflicts`. If no technique applies, the hint reveals the
+        square with the fewest candidates from the solution, with `technique`
+        null. Return false if `board` is already solved.
+
+        If the givens have several solutions, an entry or a mark is only a
+        mistake if no solution agrees with it, i.e., the mistakes are the
+        fewest entries to clear, see `check_progress`, and then the marks
+        that `check_candidates` finds wrong. No digit is forced then, so if
+        no technique applies, return null instead of revealing a square.
+
+        The region is the first unit of the step, or else the unit with the
+        most of its squares. Like `solve_logically`, throw an
+        InvalidOptionError on an instance with Killer cages.
+        */
+		options = options || {};
+		const level = options.level || 'move';
+		if(!this._in(level, HINT_LEVELS)){
+			throw new InvalidOptionError('Invalid level "' + level + 
+                '". Must be one of ' + HINT_LEVELS.join(', ') + '.', 
+			{option: 'level', value: level});
+		}
+
+		// Assure valid boards, without cages
+		this._check_board(board);
+		this._check_no_cages();
+		const givens = options.givens || board;
+		this._check_board(givens);
+
+		// Refuse to hint past mistakes
+		const solutions = this.solutions(givens);
+		const solution = solutions.next().value;
+		if(!solution){
+			return {mistakes: this.find_conflicts(board).squares};
+		}
+		const unique = solutions.next().done;
+		const marks = options.candidates && 
+			this._get_marks(board, options.candidates);
+		let mistakes;
+		if(unique){
+			mistakes = this.SQUARES.filter((square, i) => 
+				board[i] !== this.BLANK_CHAR ? board[i] !== solution[i] : 
+					marks && !this._in(solution[i], marks[square]));
+		} else {
+			mistakes = this.check_progress(givens, board).removals;
+			if(!mistakes.length && marks){
+				mistakes = this._strip_dups(this.check_candidates(board, 
+					marks).wrongly_eliminated.map(wrong => wrong.square));
+			}
+		}
+		if(mistakes.length){
+			return {mistakes: mistakes};
+		}
+		if(!this._in(this.BLANK_CHAR, board)){
+			return false;
+		}
+
+		// Take the next logical step, or else reveal the square with the
+		// fewest candidates
+		const solver = new LogicalSolver(this);
+		let step = solver.first_step(board, marks);
+		if(!step && !unique){
+			return null;
+		}
+		if(!step){
+			const candidates = this._get_candidates_map(board);
+			const square = this.SQUARES.filter(
+				(square, i) => board[i] === this.BLANK_CHAR).reduce(
+				(best, square) => candidates[square].length < 
+                    candidates[best].length ? square : best);
+			const digit = solution[this.SQUARES.indexOf(square)];
+			step = {
+				technique: null,
+				squares: [square],
+				units: [],
+				placements: [{square: square, digit: digit}],
+				eliminations: [],
+				description: 'No technique applies. ' + square + ' is ' + 
+                    digit + ' in the solution',
+			};
+		}
+
+		let region = solver.get_unit(step.units[0]);
+		if(!region){
+			const count = unit => unit.filter(
+				square => this._in(square, step.squares)).length;
+			region = this.UNITS.reduce(
+				(best, unit) => count(unit) > count(best) ? unit : best);
+		}
+
+		const hint = {
+			level: level,
+			region: {name: solver.get_unit_name(region), squares: region},
+		};
+		if(level !== 'region'){
+			hint.technique = step.technique;
+		}
+		if(level === 'move'){
+			Object.assign(hint, step);
+		}
+		return hint;
+	}
+
+	check_progress(puzzle, player_board, options){
+		/* Check a player's progress on a sudoku `puzzle`, where
+        `player_board` is the puzzle with the player's entries filled in, and
+        return a report, e.g.,
+
+            >>> sudoku.check_progress(puzzle, player_board)
+            {
+                givens: ["A3", "A5", ...],
+                entries: ["A1", "A2", "B4"],
+                conflicts: ["A1", "A2"],
+                mistakes: ["A2", "B4"],
+                removals: ["A2", "B4"],
+                solved: false
+            }
+
+        `givens` are the squares given by `puzzle`, and `entries` the squares
+        the player filled in. `conflicts` are the entries with the same digit
+        as a peer, or as another square of a killer cage. `mistakes` are the
+        entries that differ from the solution, and `removals` the fewest
+        entries to clear for the board to be solvable again. `solved` is if
+        the board is full and solved. All of them are in the order of
+        SQUARES.
+
+        `options` is an object with any of:
+
+            solution: The stored solution of `puzzle`, to check the entries
+                against without solving it again.
+
+        Without a stored solution, a unique puzzle is solved. Either way, the
+        removals are the mistakes. A puzzle with several solutions has no
+        single solution to differ from, so `mistakes` is null, and the
+        removals are found by a search for the solution closest to the
+        entries.
+
+        Throw if `player_board` changes one of the givens of `puzzle`, or,
+        without a stored solution, if `puzzle` has no solution.
+        */
+		options = options || {};
+
+		// Assure valid boards
+		this._check_board(puzzle);
+		this._check_board(player_board);
+
+		const givens = [], entries = [];
+		for(const si in this.SQUARES){
+			const square = this.SQUARES[si];
+			if(puzzle[si] !== this.BLANK_CHAR){
+				if(player_board[si] !== puzzle[si]){
+					throw new InvalidOptionError('Changed given. ' + square + 
+                        ' is given as ' + puzzle[si] + '.', 
+					{option: 'player_board', value: player_board});
+				}
+				givens.push(square);
+			} else if(player_board[si] !== this.BLANK_CHAR){
+				entries.push(square);
+			}
+		}
+
+		// Solve the puzzle, unless its solution is stored
+		let solution = options.solution;
+		if(!solution){
+			this._check_solvable(puzzle);
+			const solutions = this.solutions(puzzle);
+			solution = solutions.next().value;
+			if(!solutions.next().done){
+				solution = null;
+			}
+		}
+
+		const conflicting = {};
+		for(const duplicate of this._get_duplicates(player_board)){
+			for(const square of duplicate.squares){
+				conflicting[square] = true;
+			}
+		}
+		const mistakes = solution && entries.filter(square => 
+			player_board[this.SQUARES.indexOf(square)] !== 
+                solution[this.SQUARES.indexOf(square)]);
+
+		return {
+			givens: givens,
+			entries: entries,
+			conflicts: entries.filter(square => conflicting[square]),
+			mistakes: mistakes,
+			removals: mistakes || this._get_fewest_removals(puzzle, 
+				player_board, entries),
+			solved: player_board === solution || !solution && 
+                !this._in(this.BLANK_CHAR, player_board) && 
+                this.count_solutions(player_board, 1) === 1,
+		};
+	}
+
+	_get_fewest_removals(puzzle, player_board, entries){
+		/* Return the fewest `entries` of `player_board` to clear for it to be
+        solvable, by a branch and bound search of the solutions of `puzzle`
+        that keeps or clears one entry at a time. The entries cleared, and
+        those whose digit isn't a candidate any more, are a bound on the
+        removals of a branch.
+        */
+		const indices = entries.map(square => this.SQUARES.indexOf(square));
+		const bits = indices.map(si => 
+			1 << this.DIGITS.indexOf(player_board[si]));
+		const cleared = new Uint8Array(indices.length);
+		let best = indices;
+
+		const search = (candidates, start) => {
+			let bound = 0;
+			for(let i = 0; i < indices.length; ++i){
+				if(cleared[i] || !(candidates[indices[i]] & bits[i])){
+					++bound;
+				}
+			}
+			if(bound >= best.length){
+				return;
+			}
+
+			// Find the next entry that could still be kept
+			let i = start;
+			while(i < indices.length && (candidates[indices[i]] === bits[i] || 
+                    !(candidates[indices[i]] & bits[i]))){
+				++i;
+			}
+			if(i === indices.length){
+				const result = this.SOLVER.solutions(candidates).next();
+				if(!result.done){
+					best = indices.filter(
+						(si, i) => result.value[si] !== bits[i]);
+				}
+				return;
+			}
+
+			// Keep it, or else clear it
+			const kept = candidates.slice();
+			if(this.SOLVER.assign(kept, indices[i], bits[i])){
+				search(kept, i + 1);
+			}
+			cleared[i] = 1;
+			search(candidates, i + 1);
+			cleared[i] = 0;
+		};
+		search(this.SOLVER.candidates(puzzle), 0);
+
+		return best.slice().sort((a, b) => a - b).map(si => this.SQUARES[si]);
+	}
+
+	rate(board){
+		/* Rate how hard a sudoku `board` is for a person, by the hardest
+        technique and the amount of work needed to solve it logically, e.g.,
+
+            >>> sudoku.rate(board)
+            {
+                rating: "hard",
+                score: 112,
+                hardest: "X-Wing",
+                solved: true,
+                techniques: {"Naked Single": 31, "Hidden Single": 19, ...}
+            }
+
+        Ratings are, from easiest to hardest, those in RATINGS:
+
+                "easy":         Naked and hidden singles
+                "medium":       Naked and hidden pairs, pointing pairs and
+                                box/line reduction
+                "hard":         Naked and hidden triples, and X-Wings
+                "very-hard":    Swordfish, XY-Wings and simple coloring
+                "insane":       Needs guessing, after at least half of the
+                                blank squares are solved logically
+                "inhuman":      Needs guessing before that
+
+        `score` adds up the work of every step, so it tells apart puzzles of
+        the same rating. The board must have a solution to be rated; if it
+        has none, throw a ContradictoryBoardError if it repeats a digit in a
+        unit, or else an UnsolvableBoardError. Like `solve_logically`, throw
+        an InvalidOptionError on an instance with Killer cages.
+        */
+
+		// Assure a valid, solvable board, without cages
+		this._check_board(board);
+		this._check_no_cages();
+		this._check_solvable(board);
+
+		return new LogicalSolver(this).rate(board);
+	}
+
+	count_solutions(board, limit){
+		/* Return the number of solutions of a sudoku `board`, stopping as soon
+        as `limit` solutions have been found, e.g.,
+
+            // 1 if the puzzle is unique, 2 if it has several solutions
+            sudoku.count_solutions(board, 2);
+
+        Without a `limit` every solution is counted, which may take forever on
+        a board with few givens.
+        */
+		const it = this.solutions(board);
+		let count = 0;
+		while(count !== limit && !it.next().done){
+			++count;
+		}
+		return count;
+	}
+
+	is_minimal(board, options){
+		/* Return if a sudoku `board` is minimal, i.e., has a unique solution,
+        and removing any of its givens would give it more than one.
+
+        With `options` {report: true}, return a report of the givens that
+        could be removed instead, each on its own, e.g.,
+
+            >>> sudoku.is_minimal(board, {report: true})
+            {
+                minimal: false,
+                redundant: ["A3", "E5"]
+            }
+
+        A board without a unique solution isn't minimal, and has no redundant
+        givens.
+        */
+
+		// Assure a valid board
+		this._check_board(board);
+
+		const unique = this._is_unique(board);
+		const redundant = !unique ? [] : this._get_redundant_givens(board, 
+			this._get_symmetry_groups('none')).map(
+			group => this.SQUARES[group[0]]);
+		const minimal = unique && !redundant.length;
+		if(options && options.report){
+			return {minimal: minimal, redundant: redundant};
+		}
+		return minimal;
+	}
+
+	*solutions(board){
+		/* Lazily yield every solution of a sudoku `board` as a solution string,
+        in the same stable order in which `solve` finds them. Unlike `solve`,
+        the board may have any number of givens, e.g.,
+
+            // The first three solutions of an empty board
+            const it = sudoku.solutions(sudoku.BLANK_BOARD);
+            it.next().value; it.next().value; it.next().value;
+        */
+
+		// Assure a valid board
+		this._check_board(board);
+
+		const candidates = this.SOLVER.candidates(board);
+		for(const result of this.SOLVER.solutions(candidates)){
+			yield this.SOLVER.to_board(result);
+		}
+	}
+
+	get_candidates = function(board, options){
 		/* Return all possible candidatees for each square as a grid of 
-        candidates, returnning `false` if a contradiction is encountered.
+        candidates, returnning `false` if a contradiction is encountered, as
+        it always has, rather than throwing a ContradictoryBoardError.
         
         Really just a wrapper for sudoku._get_candidates_map for programmer
         consumption.
+
+        With `options` {naive: true}, a blank square's candidates are just
+        the digits not used by its peers, without further propagation, as a
+        player would fill in pencil marks automatically.
         */
         
 		// Assure a valid board
-		const report = this.validate_board(board);
-		if(report !== true){
-			throw report;
+		this._check_board(board);
+
+		if(options && options.naive){
+			return this._get_naive_candidates(board);
 		}
         
 		// Get a candidates map
@@ -223,7 +1629,7 @@ export default class Sudoku {
 		for(const square in candidates_map){
 			const candidates = candidates_map[square];
 			cur_row.push(candidates);
-			if(i % 9 == 8){
+			if(i % this.SIZE == this.SIZE - 1){
 				rows.push(cur_row);
 				cur_row = [];
 			}
@@ -232,229 +1638,111 @@ export default class Sudoku {
 		return rows;
 	};
 
-	_get_candidates_map(board){
-		/* Get all possible candidates for each square as a map in the form
-        {square: sudoku.DIGITS} using recursive constraint propagation. Return `false` 
-        if a contradiction is encountered
+	check_candidates(board, candidates){
+		/* Check a player's pencil marks, `candidates`, of a sudoku `board`,
+        as a grid, like `get_candidates`, or a map of square -> candidates,
+        and return a report of the digits ruled out wrongly, e.g.,
+
+            >>> sudoku.check_candidates(board, candidates)
+            {
+                valid: false,
+                wrongly_eliminated: [{square: "A3", digit: "7"}]
+            }
+
+        A digit is ruled out wrongly if a solution of `board` has it in its
+        square. Marks of digits that can't go in a square, e.g., because a
+        peer has them, are only not ruled out yet, and are fine, and so are
+        blank squares without marks. The marks of squares with a digit are
+        ignored. Throw if `board` has no solution.
         */
-        
+
 		// Assure a valid board
-		const report = this.validate_board(board);
-		if(report !== true){
-			throw report;
-		}
-        
-		const candidate_map = {};
-		const squares_values_map = this._get_square_vals_map(board);
-        
-		// Start by assigning every digit as a candidate to every square
-		for(const si in this.SQUARES){
-			candidate_map[this.SQUARES[si]] = this.DIGITS;
-		}
-        
-		// For each non-blank square, assign its value in the candidate map and
-		// propigate.
-		for(const square in squares_values_map){
-			const val = squares_values_map[square];
-            
-			if(this._in(val, this.DIGITS)){
-				const new_candidates = this._assign(candidate_map, square, val);
-                
-				// Fail if we can't assign val to square
-				if(!new_candidates){
-					return false;
-				}
-			}
-		}
-        
-		return candidate_map;
-	}
+		this._check_board(board);
+		const marks = this._get_marks(board, candidates);
 
-	_search = function(candidates, reverse){
-		/* Given a map of squares -> candiates, using depth-first search, 
-        recursively try all possible values until a solution is found, or false
-        if no solution exists. */
-        
-		// Return if error in previous iteration
-		if(!candidates){
-			return false;
-		}
-        
-		// Default reverse to false
-		reverse = reverse || false;
-        
-		// If only one candidate for every square, we've a solved puzzle!
-		// Return the candidates map.
-		let max_nr_candidates = 0;
-		for(const si in this.SQUARES){
-			const square = this.SQUARES[si];
-            
-			const nr_candidates = candidates[square].length;
-                
-			if(nr_candidates > max_nr_candidates){
-				max_nr_candidates = nr_candidates;
-			}
-		}
+		this._check_solvable(board);
+		const it = this.solutions(board);
+		const solution = it.next().value;
+		const unique = it.next().done;
 
-		if(max_nr_candidates === 1){
-			return candidates;
-		}
-        
-		// Choose the blank square with the fewest possibilities > 1
-		let min_nr_candidates = 10;
-		let min_candidates_square = null;
+		// With a unique solution, only its digits can be ruled out wrongly.
+		// Otherwise, try each digit ruled out.
+		const wrongly_eliminated = [];
 		for(const si in this.SQUARES){
 			const square = this.SQUARES[si];
-            
-			const nr_candidates = candidates[square].length;
-            
-			if(nr_candidates < min_nr_candidates && nr_candidates > 1){
-				min_nr_candidates = nr_candidates;
-				min_candidates_square = square;
-			}
-		}
-        
-		// Recursively search through each of the candidates of the square 
-		// starting with the one with fewest candidates.
-        
-		// Rotate through the candidates forwards
-		const min_candidates = candidates[min_candidates_square];
-		if(!reverse){
-			for(const vi in min_candidates){
-				const val = min_candidates[vi];
-                
-				// TODO: Implement a non-rediculous deep copy function
-				const candidates_copy = JSON.parse(JSON.stringify(candidates));
-				const candidates_next = this._search(
-					this._assign(candidates_copy, min_candidates_square, val)
-				);
-                
-				if(candidates_next){
-					return candidates_next;
-				}
+			if(board[si] !== this.BLANK_CHAR){
+				continue;
 			}
-            
-			// Rotate through the candidates backwards
-		} else {
-			for(let vi = min_candidates.length - 1; vi >= 0; --vi){
-				const val = min_candidates[vi];
-                
-				// TODO: Implement a non-rediculous deep copy function
-				const candidates_copy = JSON.parse(JSON.stringify(candidates));
-				const candidates_next = this._search(
-					this._assign(candidates_copy, min_candidates_square, val), 
-					reverse
-				);
-                
-				if(candidates_next){
-					return candidates_next;
+			for(const digit of unique ? solution[si] : this.DIGITS){
+				if(!this._in(digit, marks[square]) && (unique || 
+                        this.solutions(board.slice(0, si) + digit + 
+                            board.slice(Number(si) + 1)).next().value)){
+					wrongly_eliminated.push({square: square, digit: digit});
 				}
 			}
 		}
-        
-		// If we get through all combinations of the square with the fewest
-		// candidates without finding an answer, there isn't one. Return false.
-		return false;
-	};
-
-	_assign(candidates, square, val){
-		/* Eliminate all values, *except* for `val`, from `candidates` at 
-        `square` (candidates[square]), and propagate. Return the candidates map
-        when finished. If a contradiciton is found, return false.
-        
-        WARNING: This will modify the contents of `candidates` directly.
-        */
 
-		// Grab a list of canidates without 'val'
-		const other_vals = candidates[square].replace(val, '');
-
-		// Loop through all other values and eliminate them from the candidates 
-		// at the current square, and propigate. If at any point we get a 
-		// contradiction, return false.
-		for(const ovi in other_vals){
-			const other_val = other_vals[ovi];
-
-			const candidates_next =
-                this._eliminate(candidates, square, other_val);
-
-			if(!candidates_next){
-				//console.log("Contradiction found by _eliminate.");
-				return false;
-			}
-		}
-
-		return candidates;
+		return {
+			valid: !wrongly_eliminated.length,
+			wrongly_eliminated: wrongly_eliminated,
+		};
 	}
 
-	_eliminate(candidates, square, val){
-		/* Eliminate `val` from `candidates` at `square`, (candidates[square]),
-        and propagate when values or places <= 2. Return updated candidates,
-        unless a contradiction is detected, in which case, return false.
-        
-        WARNING: This will modify the contents of `candidates` directly.
+	_get_marks(board, candidates){
+		/* Return the pencil marks `candidates` of the blank squares of
+        `board`, given as a grid, like `get_candidates`, or a map of square ->
+        candidates, as a map of square -> candidates in the order of DIGITS.
+        A blank square without marks, e.g., one missing from `game.marks`,
+        isn't marked yet, and gets every digit. Throw if they aren't valid.
         */
-
-		// If `val` has already been eliminated from candidates[square], return
-		// with candidates.
-		if(!this._in(val, candidates[square])){
-			return candidates;
-		}
-
-		// Remove `val` from candidates[square]
-		candidates[square] = candidates[square].replace(val, '');
-           
-		// If the square has only candidate left, eliminate that value from its 
-		// peers
-		const nr_candidates = candidates[square].length;
-		if(nr_candidates === 1){
-			const target_val = candidates[square];
-            
-			for(const pi in this.SQUARE_PEERS_MAP[square]){
-				const peer = this.SQUARE_PEERS_MAP[square][pi];
-                
-				const candidates_new = 
-                        this._eliminate(candidates, peer, target_val);
-                        
-				if(!candidates_new){
-					return false;
-				}
+		let marks = candidates;
+		if(Array.isArray(candidates)){
+			const flat = [].concat(...candidates);
+			if(candidates.length !== this.SIZE || 
+                    flat.length !== this.NR_SQUARES){
+				throw new InvalidOptionError('Invalid candidates. Candidates ' +
+                    'must be a grid of ' + this.SIZE + ' rows of ' + 
+                    this.SIZE + ' squares.', 
+				{option: 'candidates', value: candidates});
 			}
-        
-			// Otherwise, if the square has no candidates, we have a contradiction.
-			// Return false.
-		} if(nr_candidates === 0){
-			return false;
-		}
-        
-		// If a unit is reduced to only one place for a value, then assign it
-		for(const ui in this.SQUARE_UNITS_MAP[square]){
-			const unit = this.SQUARE_UNITS_MAP[square][ui];
-            
-			const val_places = [];
-			for(const si in unit){
-				const unit_square = unit[si];
-				if(this._in(val, candidates[unit_square])){
-					val_places.push(unit_square);
-				}
+			marks = {};
+			for(const si in this.SQUARES){
+				marks[this.SQUARES[si]] = flat[si];
 			}
-            
-			// If there's no place for this value, we have a contradition!
-			// return false
-			if(val_places.length === 0){
-				return false;
-                
-				// Otherwise the value can only be in one place. Assign it there.
-			} else if(val_places.length === 1){
-				const candidates_new = 
-                    this._assign(candidates, val_places[0], val);
-                
-				if(!candidates_new){
-					return false;
+		}
+
+		const blank_marks = {};
+		for(const si in this.SQUARES){
+			const square = this.SQUARES[si];
+			if(board[si] !== this.BLANK_CHAR){
+				continue;
+			}
+			const digits = String(marks[square] || '');
+			for(const digit of digits){
+				if(!this._in(digit, this.DIGITS)){
+					throw new InvalidOptionError('Invalid candidates. "' + 
+                        digit + '" in square ' + square + ' isn\'t one of ' + 
+                        this.DIGITS + '.', 
+					{option: 'candidates', value: candidates});
 				}
 			}
+			blank_marks[square] = digits ? this.DIGITS.split('').filter(
+				digit => this._in(digit, digits)).join('') : this.DIGITS;
 		}
+		return blank_marks;
+	}
+
+	_get_candidates_map(board){
+		/* Get all possible candidates for each square as a map in the form
+        {square: sudoku.DIGITS} using recursive constraint propagation. Return `false` 
+        if a contradiction is encountered
+        */
+        
+		// Assure a valid board
+		this._check_board(board);
         
-		return candidates;
+		const candidates = this.SOLVER.candidates(board);
+		return candidates && this.SOLVER.to_map(candidates);
 	}
 
 	// Square relationships
@@ -466,9 +1754,10 @@ export default class Sudoku {
         */
 		const squares_vals_map = {};
         
-		// Make sure `board` is a string of length 81
+		// Make sure `board` is a string of length 81, or NR_SQUARES
 		if(board.length != this.SQUARES.length){
-			throw 'Board/squares length mismatch.';
+			throw new InvalidLengthError('Board/squares length mismatch.', 
+				{length: board.length, expected: this.SQUARES.length});
             
 		} else {
 			for(const i in this.SQUARES){
@@ -555,12 +1844,23 @@ export default class Sudoku {
 
 		// Columns
 		for(const ci in cols){
-			units.push(this._cross(rows, cols[ci]));
+			units.push(this._cross(rows, [cols[ci]]));
 		}
 
-		// Boxes
-		const row_squares = ['ABC', 'DEF', 'GHI'];
-		const col_squares = ['123', '456', '789'];
+		// Jigsaw regions instead of boxes
+		if(this.REGIONS){
+			return units.concat(this._get_region_units(this.REGIONS));
+		}
+
+		// Boxes, e.g., rows 'ABC', 'DEF', 'GHI' by columns '123', '456', '789'
+		const row_squares = [];
+		for(let r = 0; r < rows.length; r += this.BOX_ROWS){
+			row_squares.push(rows.slice(r, r + this.BOX_ROWS));
+		}
+		const col_squares = [];
+		for(let c = 0; c < cols.length; c += this.BOX_COLS){
+			col_squares.push(cols.slice(c, c + this.BOX_COLS));
+		}
 		for(const rsi in row_squares){
 			for(const csi in col_squares){
 				units.push(this._cross(row_squares[rsi], col_squares[csi]));
@@ -570,6 +1870,223 @@ export default class Sudoku {
 		return units;
 	}
 
+	_get_region_units(regions){
+		/* Return a list of the units of a jigsaw `regions` map, in order of
+        the regions' first squares
+        */
+		const region_units = new Map();
+		for(const i in this.SQUARES){
+			if(!region_units.has(regions[i])){
+				region_units.set(regions[i], []);
+			}
+			region_units.get(regions[i]).push(this.SQUARES[i]);
+		}
+		return [...region_units.values()];
+	}
+
+	_get_variant_units(variants){
+		/* Return a list of the extra units of `variants`, as [name, unit]
+        */
+		const units = [];
+		const rows = this.ROWS;
+		const cols = this.COLS;
+
+		for(const vi in variants){
+			const variant = variants[vi];
+
+			// Both main diagonals
+			if(variant === 'x'){
+				const diagonal = [];
+				const anti_diagonal = [];
+				for(let i = 0; i < this.SIZE; ++i){
+					diagonal.push(rows[i] + cols[i]);
+					anti_diagonal.push(rows[i] + cols[this.SIZE - 1 - i]);
+				}
+				units.push([
+					'diagonal ' + diagonal[0] + '-' + diagonal[this.SIZE - 1],
+					diagonal]);
+				units.push([
+					'diagonal ' + anti_diagonal[0] + '-' + 
+                        anti_diagonal[this.SIZE - 1],
+					anti_diagonal]);
+
+				// Box sized windows, one square in from the boxes
+			} else if(variant === 'hyper'){
+				if(this.BOX_ROWS !== this.BOX_COLS){
+					throw new InvalidOptionError('Invalid variant. Hyper ' +
+                        'needs square boxes.', {option: 'variant', value: variant});
+				}
+				const step = this.BOX_ROWS + 1;
+				let nr_windows = 0;
+				for(let r = 1; r + this.BOX_ROWS <= this.SIZE; r += step){
+					for(let c = 1; c + this.BOX_COLS <= this.SIZE; c += step){
+						units.push(['window ' + ++nr_windows, this._cross(
+							rows.slice(r, r + this.BOX_ROWS), 
+							cols.slice(c, c + this.BOX_COLS))]);
+					}
+				}
+
+				// The centre square of every box
+			} else if(variant === 'centre-dot'){
+				if(this.BOX_ROWS % 2 === 0 || this.BOX_COLS % 2 === 0){
+					throw new InvalidOptionError('Invalid variant. Centre-dot ' +
+                        'needs boxes with an odd number of rows and columns.', 
+					{option: 'variant', value: variant});
+				}
+				const centres = [];
+				for(let r = 0; r < this.SIZE; r += this.BOX_ROWS){
+					for(let c = 0; c < this.SIZE; c += this.BOX_COLS){
+						centres.push(rows[r + (this.BOX_ROWS - 1) / 2] + 
+                            cols[c + (this.BOX_COLS - 1) / 2]);
+					}
+				}
+				units.push(['centre dots', centres]);
+
+			} else {
+				throw new InvalidOptionError('Invalid variant: ' + variant + 
+                    '. Variants are ' + VARIANTS.join(', ') + '.', 
+				{option: 'variant', value: variant});
+			}
+		}
+
+		return units;
+	}
+
+	_get_cages(cages){
+		/* Return a checked copy of killer `cages`, each with its combos, i.e.,
+        all the sets of digits, as strings, that add up to its sum.
+        */
+		const result = [];
+		const caged = {};
+		for(const ci in cages){
+			const squares = cages[ci].squares;
+			const sum = cages[ci].sum;
+			for(const si in squares){
+				if(!this._in(squares[si], this.SQUARES) || caged[squares[si]]){
+					throw new InvalidOptionError('Invalid cage ' + ci + 
+                        '. Squares must exist, and be in only one cage.', 
+					{option: 'cages', value: cages[ci]});
+				}
+				caged[squares[si]] = true;
+			}
+
+			const combos = this._get_combos(squares.length, sum);
+			if(!combos.length){
+				throw new InvalidOptionError('Invalid cage ' + ci + '. No ' + 
+                    squares.length + ' different digits add up to ' + sum + '.',
+				{option: 'cages', value: cages[ci]});
+			}
+			result.push({squares: squares.slice(), sum: sum, combos: combos});
+		}
+		return result;
+	}
+
+	_get_combos(nr_digits, sum, start){
+		/* Return all sets of `nr_digits` different digits, as strings, that
+        add up to `sum`. Digits are worth their position in sudoku.DIGITS, so
+        A is 10 on a 16x16 board. Only digits from `start` on are used.
+        */
+		start = start || 0;
+		if(nr_digits === 0){
+			return sum === 0 ? [''] : [];
+		}
+		const combos = [];
+		for(let i = start; i < this.DIGITS.length && i + 1 <= sum; ++i){
+			const rest = this._get_combos(nr_digits - 1, sum - (i + 1), i + 1);
+			for(const ri in rest){
+				combos.push(this.DIGITS[i] + rest[ri]);
+			}
+		}
+		return combos;
+	}
+
+	_get_square_neighbours(square){
+		/* Return the squares above, below, left and right of `square` */
+		const row = this.ROWS.indexOf(square[0]);
+		const col = this.COLS.indexOf(square.slice(1));
+		const neighbours = [];
+		for(const [r, c] of [[row - 1, col], [row + 1, col], [row, col - 1], 
+			[row, col + 1]]){
+			if(r >= 0 && r < this.SIZE && c >= 0 && c < this.SIZE){
+				neighbours.push(this.ROWS[r] + this.COLS[c]);
+			}
+		}
+		return neighbours;
+	}
+
+	// Transformations
+	// -------------------------------------------------------------------------
+	transform(board, spec){
+		/* Return `board` transformed in a way that keeps it valid, with the
+        same number of solutions and the same difficulty, e.g.,
+
+            // Swap the first two bands, then relabel 1 as 9 and 9 as 1
+            sudoku.transform(board, {
+                rows: [3, 4, 5, 0, 1, 2, 6, 7, 8],
+                digits: "923456781",
+            });
+
+        `spec` is an object with any of, applied in this order:
+
+            rotate: Turn the board clockwise by 90, 180 or 270 degrees.
+
+            transpose: If true, mirror the board on the diagonal from A1.
+
+            rows: The old row of every new row, as indices from 0. Rows may
+                only move within their band, i.e., row of boxes, and bands
+                as a whole.
+
+            cols: The old column of every new column, as indices from 0.
+                Columns may only move within their stack, i.e., column of
+                boxes, and stacks as a whole.
+
+            digits: The new digit for every one of DIGITS, in order.
+
+        Without a `spec`, a random transformation is used, e.g., to make a
+        puzzle that looks new from a vetted one. Rotating by 90 or 270 degrees
+        and transposing need square boxes. Boards with variants, jigsaw
+        regions or cages can't be transformed.
+        */
+
+		// Assure a valid board
+		this._check_board(board);
+
+		const transformer = new Transformer(this);
+		return transformer.transform(board, spec || transformer.random_spec());
+	}
+
+	canonicalize(board){
+		/* Return the canonical form of `board`, the same for every board that
+        `transform` can turn it into, and the transformation to it, e.g.,
+
+            >>> sudoku.canonicalize(board)
+            {
+                board: "........1.....2.3...4.5....",
+                transform: {rows: [...], cols: [...], digits: "...",
+                    transpose: false}
+            }
+
+        The canonical form is `sudoku.transform(board, result.transform)`.
+        It's the smallest board string, with blanks before digits, that a
+        transformation gives, after relabeling the digits in the order in
+        which they first appear. It takes tens of milliseconds on a 9x9 board,
+        but may take long on bigger boards.
+        */
+
+		// Assure a valid board
+		this._check_board(board);
+
+		return new Transformer(this).canonicalize(board);
+	}
+
+	are_equivalent(board_a, board_b){
+		/* Return if `board_a` can be transformed into `board_b`, i.e., they're
+        the same puzzle to a player, see `transform`.
+        */
+		return this.canonicalize(board_a).board ===
+            this.canonicalize(board_b).board;
+	}
+
 	// Conversions
 	// -------------------------------------------------------------------------
 	board_string_to_grid(board_string){
@@ -579,7 +2096,7 @@ export default class Sudoku {
 		let cur_row = [];
 		for(const i in board_string){
 			cur_row.push(board_string[i]);
-			if(i % 9 == 8){
+			if(i % this.SIZE == this.SIZE - 1){
 				rows.push(cur_row);
 				cur_row = [];
 			}
@@ -591,82 +2108,581 @@ export default class Sudoku {
 		/* Convert a board grid to a string
         */
 		let board_string = '';
-		for(let r = 0; r < 9; ++r){
-			for(let c = 0; c < 9; ++c){
+		for(let r = 0; r < this.SIZE; ++r){
+			for(let c = 0; c < this.SIZE; ++c){
 				board_string += board_grid[r][c];
 			}   
 		}
 		return board_string;
 	}
 
-	// Utility
-	// -------------------------------------------------------------------------
+	detect_format(text){
+		/* Guess the format of a puzzle in `text`, one of FORMATS, e.g.,
 
-	print_board(board){
-		/* Print a sudoku `board` to the console. */
-        
-		// Assure a valid board
-		const report = this.validate_board(board);
-		if(report !== true){
-			throw report;
+            >>> sudoku.detect_format("2..|1.5|..3\n.54|...|71.\n...")
+            "ss"
+
+        Return false if it looks like none of them.
+        */
+		const lines = this._format_lines(text);
+		if(!lines.length){
+			return false;
 		}
-        
-		const V_PADDING = ' ';  // Insert after each square
-		const H_PADDING = '\n'; // Insert after each row
-        
-		const V_BOX_PADDING = '  '; // Box vertical padding
-		const H_BOX_PADDING = '\n'; // Box horizontal padding
+		if(lines.some(line => /[|:]/.test(line))){
+			const tokens = this._pencil_mark_tokens(lines);
+			return tokens.length === this.NR_SQUARES && 
+                tokens.some(token => token.length > 1) ? 'pencil-marks' : 'ss';
+		}
+		if(lines.length === 1){
+			return this._in('0', lines[0]) ? 'zeros' : 'line';
+		}
+		if(lines.length === this.SIZE && 
+                lines.every(line => line.length === this.SIZE)){
+			return 'sdk';
+		}
+		return false;
+	}
 
-		let display_string = '';
-        
-		for(const i in board){
-			const square = board[i];
-            
-			// Add the square and some padding
-			display_string += square + V_PADDING;
-            
-			// Vertical edge of a box, insert v. box padding
-			if(i % 3 === 2){
-				display_string += V_BOX_PADDING;
+	parse_board(text, format){
+		/* Parse a puzzle in `text`, in one of FORMATS, and return it as a
+        board string, e.g.,
+
+            >>> sudoku.parse_board("003020600\n900305001\n...", "sdk")
+            "..3.2.6..9..3.5..1..."
+
+        Without a `format`, it's detected, see `detect_format`. Blanks may be
+        "." or "0". Squares with a single candidate in a pencil-mark grid are
+        given. Throw a ParseError saying what's wrong if `text` can't be parsed.
+        */
+		format = format || this.detect_format(text);
+		const lines = this._format_lines(text);
+		let squares;
+		if(format === 'line' || format === 'zeros'){
+			if(lines.length !== 1){
+				throw new ParseError('Invalid ' + format + ' format. Expected ' +
+                    'a puzzle on one line, found ' + lines.length + ' lines.', 
+				{format: format});
 			}
-            
-			// End of a line, insert horiz. padding
-			if(i % 9 === 8){
-				display_string += H_PADDING;
+			squares = lines[0].split(/\s/)[0];
+		} else if(format === 'sdk'){
+			squares = lines.join('');
+		} else if(format === 'ss'){
+			squares = lines.filter(line => !/^[-+*|\s]*$/.test(line)).join('')
+				.replace(/[|\s]/g, '');
+		} else if(format === 'pencil-marks'){
+			squares = this._pencil_mark_tokens(lines).map(
+				token => token.length === 1 ? token : this.BLANK_CHAR);
+		} else if(!format){
+			throw new ParseError('Unknown format. Expected one of ' + 
+                FORMATS.join(', ') + '.', {format: null});
+		} else {
+			throw new InvalidOptionError('Invalid format "' + format + 
+                '". Must be one of ' + FORMATS.join(', ') + '.', 
+			{option: 'format', value: format});
+		}
+
+		if(squares.length !== this.NR_SQUARES){
+			throw new ParseError('Invalid ' + format + ' format. Expected ' + 
+                this.NR_SQUARES + ' squares, found ' + squares.length + '.', 
+			{format: format});
+		}
+		let board = '';
+		for(let i = 0; i < squares.length; ++i){
+			if(squares[i] === '0' || squares[i] === this.BLANK_CHAR){
+				board += this.BLANK_CHAR;
+			} else if(this._in(squares[i], this.DIGITS)){
+				board += squares[i];
+			} else {
+				throw new ParseError('Invalid ' + format + ' format. Invalid "' + 
+                    squares[i] + '" in square ' + this.SQUARES[i] + '.', 
+				{format: format, square: this.SQUARES[i], 
+					character: squares[i]});
 			}
-            
-			// Horizontal edge of a box, insert h. box padding
-			if(i % 27 === 26){
-				display_string += H_BOX_PADDING;
+		}
+		return board;
+	}
+
+	parse_boards(text){
+		/* Parse a file of puzzles in the line format, one per line, e.g.,
+        top95, and return them as a list of board strings. Empty lines, "#"
+        comments, and anything after a puzzle on its line are skipped.
+        */
+		const boards = [];
+		const lines = text.split(/\r?\n/);
+		for(let i = 0; i < lines.length; ++i){
+			const line = lines[i].trim();
+			if(!line || line[0] === '#'){
+				continue;
+			}
+			try {
+				boards.push(this.parse_board(line, 'line'));
+			} catch(error){
+				throw new ParseError('Line ' + (i + 1) + ': ' + error.message, 
+					Object.assign({}, error, {line: i + 1}));
+			}
+		}
+		return boards;
+	}
+
+	parse_candidates(text){
+		/* Parse a HoDoKu pencil-mark grid, and return the candidates as a
+        grid, like `get_candidates`.
+        */
+		const tokens = this._pencil_mark_tokens(this._format_lines(text));
+		if(tokens.length !== this.NR_SQUARES){
+			throw new ParseError('Invalid pencil-marks format. Expected ' + 
+                this.NR_SQUARES + ' squares, found ' + tokens.length + '.', 
+			{format: 'pencil-marks'});
+		}
+		for(const ti in tokens){
+			for(const di in tokens[ti]){
+				if(!this._in(tokens[ti][di], this.DIGITS)){
+					throw new ParseError('Invalid pencil-marks format. ' +
+                        'Invalid "' + tokens[ti][di] + '" in square ' + 
+                        this.SQUARES[ti] + '.', {format: 'pencil-marks', 
+						square: this.SQUARES[ti], character: tokens[ti][di]});
+				}
+			}
+		}
+		return this.board_string_to_grid(tokens);
+	}
+
+	format_board(board, format, candidates){
+		/* Write `board` in one of FORMATS, e.g.,
+
+            >>> sudoku.format_board(board, "ss")
+            "..3|.2.|6..\n9..|3.5|..1\n..1|8.6|4..\n-----------\n..."
+
+        The "pencil-marks" grid shows `candidates`, a grid like the one of
+        `get_candidates`, or by default the digits not yet used by the peers
+        of each blank square.
+        */
+		this._check_board(board);
+		const rows = this.board_string_to_grid(board);
+
+		if(format === 'line' || !format){
+			return board;
+		} else if(format === 'zeros'){
+			return board.split(this.BLANK_CHAR).join('0');
+		} else if(format === 'sdk'){
+			return rows.map(row => row.join('')).join('\n');
+		} else if(format === 'ss'){
+			return this._format_box_grid(rows.map(row => row.join('')), '', 
+				['', '-', '', '']);
+		} else if(format === 'pencil-marks'){
+			return this._format_box_grid(
+				candidates || this._get_naive_candidates(board), ' ', 
+				['.', '-', '+', '\'']);
+		}
+		throw new InvalidOptionError('Invalid format "' + format + 
+            '". Must be one of ' + FORMATS.join(', ') + '.', 
+		{option: 'format', value: format});
+	}
+
+	_format_lines(text){
+		/* Return the lines of a puzzle in `text`, trimmed, skipping empty
+        lines and "#" comments. Of an .sdk file with sections, only return
+        the lines of its [Puzzle] section.
+        */
+		let lines = String(text).split(/\r?\n/).map(line => line.trim())
+			.filter(line => line && line[0] !== '#');
+		const section = lines.indexOf('[Puzzle]');
+		if(section !== -1){
+			lines = lines.slice(section + 1);
+			const end = lines.findIndex(line => line[0] === '[');
+			lines = end === -1 ? lines : lines.slice(0, end);
+		}
+		return lines;
+	}
+
+	_pencil_mark_tokens(lines){
+		/* Return the squares of a pencil-mark grid in `lines`, i.e., its
+        words between the box borders.
+        */
+		return lines.filter(line => !/^[-+.:'|\s]*$/.test(line))
+			.join(' ').replace(/[|:]/g, ' ').split(/\s+/)
+			.filter(token => token);
+	}
+
+	_format_box_grid(rows, spacing, borders){
+		/* Write a grid of `rows` of squares, padding every column to its
+        widest square, with `spacing` around the squares and "|" between
+        boxes. `borders` are the [edge, line, crossing, bottom edge]
+        characters of the lines between boxes; lines are left out if `line`
+        is empty, and edges if `edge` is.
+        */
+		const [edge, line, crossing, bottom] = borders;
+		const widths = [];
+		for(let c = 0; c < this.SIZE; ++c){
+			widths.push(Math.max(...rows.map(row => row[c].length)));
+		}
+
+		// Pad the squares of each box
+		const box_width = [];
+		const lines = rows.map(row => {
+			const boxes = [];
+			for(let c = 0; c < this.SIZE; c += this.BOX_COLS){
+				const squares = [];
+				for(let bc = c; bc < c + this.BOX_COLS; ++bc){
+					squares.push(row[bc].padEnd(widths[bc]));
+				}
+				boxes.push(spacing + squares.join(spacing + spacing) + spacing);
+				box_width[c / this.BOX_COLS] = boxes[boxes.length - 1].length;
 			}
+			return edge ? '|' + boxes.join('|') + '|' : boxes.join('|');
+		});
+
+		// And add lines between the boxes
+		const border = (left, middle, right) => left + box_width.map(
+			width => line.repeat(width)).join(middle) + right;
+		const grid = edge ? [border(edge, edge, edge)] : [];
+		for(let r = 0; r < this.SIZE; ++r){
+			if(r && r % this.BOX_ROWS === 0){
+				grid.push(edge ? border(':', crossing, ':') : border('', line, ''));
+			}
+			grid.push(lines[r].trimEnd());
 		}
+		if(edge){
+			grid.push(border(bottom, bottom, bottom));
+		}
+		return grid.join('\n');
+	}
+
+	_get_naive_candidates(board){
+		/* Return the candidates of every square of `board` as a grid, like
+        `get_candidates`, where a blank square has the digits not used by its
+        peers, without further propagation.
+        */
+		const values = this._get_square_vals_map(board);
+		const candidates = this.SQUARES.map(square => {
+			if(values[square] !== this.BLANK_CHAR){
+				return values[square];
+			}
+			const peers = this.SQUARE_PEERS_MAP[square];
+			return this.DIGITS.split('').filter(val => 
+				!peers.some(peer => values[peer] === val)).join('');
+		});
+		return this.board_string_to_grid(candidates);
+	}
+
+	// Utility
+	// -------------------------------------------------------------------------
+
+	print_board(board, options){
+		/* Print a sudoku `board` to the console, rendered with `options`, see
+        `render`, and return the text printed.
+        */
+		const text = this.render(board, options);
+		console.log(text);
+		return text;
+	}
+
+	render(board, options){
+		/* Return a sudoku `board` rendered as text, HTML or SVG, e.g.,
+
+            >>> sudoku.render(board, {style: "ascii"})
+            "5 2 . | . . 6 | . . .\n. . . | . . . | 7 . 1\n...\n------+-------+------\n..."
+
+        `options` is an object with any of:
+
+            style: One of STYLES, "plain" by default:
+                "plain":    Digits with space between boxes
+                "ascii":    Digits with "|" and "-+-" lines between boxes
+                "unicode":  Digits in a frame of box-drawing characters
+                "html":     An accessible table, styled with CSS classes
+                "svg":      A printable image
+
+            givens: Board of the givens. Digits of `board` that aren't given
+                are the player's entries, shown differently in "html", with
+                the class "entry", and "svg", in blue.
+
+            candidates: Candidates to draw as small pencil marks in the blank
+                squares, a grid like the one of `get_candidates`, or a map of
+                square -> digits, like the pencil marks of a game.
 
-		console.log(display_string);
+            highlight: Squares to highlight, e.g., ["A1", "C3"], followed by
+                "*" in text, with the class "highlight" in "html", and yellow
+                in "svg".
+
+        Jigsaw regions are drawn in "html" and "svg" only.
+        */
+
+		// Assure a valid board
+		this._check_board(board);
+
+		return new Renderer(this, options).render(board);
 	}
 
-	validate_board(board){
+	validate_board(board, options){
 		/* Return if the given `board` is valid or not. If it's valid, return
-        true. If it's not, return a string of the reason why it's not. */
+        true. If it's not, return a string of the reason why it's not.
+
+        With `options` {report: true}, check everything, and return a report
+        listing every problem, as errors, see errors.js, e.g.,
+
+            >>> sudoku.validate_board("11......", {report: true})
+            {
+                valid: false,
+                errors: [
+                    ContradictoryBoardError {digit: "1", squares: ["A1", "A2"]},
+                    TooFewGivensError {givens: 2, minimum: 17},
+                ]
+            }
+
+        Besides a wrong length and invalid characters, the report lists digits
+        given twice in a unit, too few givens to `solve`, and, if there are no
+        other problems, a board with no solution.
+        */
+		const report = options && options.report;
+		const errors = this._get_board_errors(board, report);
+		if(report){
+			return {valid: !errors.length, errors: errors};
+		}
+		return errors.length ? errors[0].message : true;
+	}
+
+	_check_board(board){
+		/* Throw the first error of an invalid `board`, see `validate_board`.
+        */
+		const errors = this._get_board_errors(board);
+		if(errors.length){
+			throw errors[0];
+		}
+	}
+
+	_check_no_cages(){
+		/* Throw an InvalidOptionError if the instance has Killer cages, which
+        the logical techniques don't know about.
+        */
+		if(this.CAGES.length){
+			throw new InvalidOptionError('Killer cages aren\'t supported. The ' +
+                'logical techniques don\'t know about cage sums.', 
+			{option: 'cages', value: this.CAGES});
+		}
+	}
+
+	_check_solvable(board){
+		/* Throw a ContradictoryBoardError if `board` repeats a digit in a
+        unit, or an UnsolvableBoardError if it has no solution otherwise.
+        */
+		const duplicates = this._get_duplicates(board);
+		if(duplicates.length){
+			throw this._get_contradiction_error(duplicates[0]);
+		}
+		if(!this.count_solutions(board, 1)){
+			throw new UnsolvableBoardError('Unsolvable board. The board has ' +
+                'no solution.');
+		}
+	}
+
+	_get_board_errors(board, all){
+		/* Return the errors of `board`, as a list. Only return the first
+        problem with its length or characters, unless `all` is set, in which
+        case also check its givens and solutions, and return every problem.
+        */
         
 		// Check for empty board
 		if(!board){
-			return 'Empty board';
+			return [new InvalidLengthError('Empty board', 
+				{length: 0, expected: this.NR_SQUARES})];
 		}
         
 		// Invalid board length
 		if(board.length !== this.NR_SQUARES){
-			return 'Invalid board size. Board must be exactly ' + this.NR_SQUARES +
-                    ' squares.';
+			return [new InvalidLengthError('Invalid board size. Board must be ' +
+                'exactly ' + this.NR_SQUARES + ' squares.', 
+			{length: board.length, expected: this.NR_SQUARES})];
 		}
         
 		// Check for invalid characters
-		for(const i in board){
+		const errors = [];
+		for(let i = 0; i < board.length; ++i){
 			if(!this._in(board[i], this.DIGITS) && board[i] !== this.BLANK_CHAR){
-				return 'Invalid board character encountered at index ' + i + 
-                        ': ' + board[i];
+				errors.push(new InvalidCharacterError('Invalid board character ' +
+                    'encountered at index ' + i + ': ' + board[i], 
+				{index: i, square: this.SQUARES[i], character: board[i]}));
+				if(!all){
+					return errors;
+				}
 			}
 		}
-        
+		if(!all){
+			return errors;
+		}
+
+		// Check for digits given twice in a unit
+		const duplicates = this._get_duplicates(board);
+		for(const di in duplicates){
+			const duplicate = duplicates[di];
+			errors.push(this._get_contradiction_error(duplicate));
+		}
+
+		// Check the number of givens
+		const nr_givens = this.SQUARES.filter(
+			(square, i) => this._in(board[i], this.DIGITS)).length;
+		if(nr_givens < this.MIN_GIVENS){
+			errors.push(new TooFewGivensError('Too few givens. Minimum givens ' +
+                'is ' + this.MIN_GIVENS, 
+			{givens: nr_givens, minimum: this.MIN_GIVENS}));
+		}
+
+		// Check there's a solution
+		if(!errors.length && !this.count_solutions(board, 1)){
+			errors.push(new UnsolvableBoardError('Unsolvable board. The board ' +
+                'has no solution.'));
+		}
+
+		return errors;
+	}
+
+	_get_contradiction_error(duplicate){
+		/* Return the ContradictoryBoardError of a `duplicate`, as
+        {digit, squares}.
+        */
+		return new ContradictoryBoardError('Contradictory board. ' + 
+            duplicate.digit + ' is given more than once in ' + 
+            duplicate.squares.join(', ') + '.', duplicate);
+	}
+
+	find_conflicts(board){
+		/* Find what breaks the rules on `board`, and return the squares
+        involved, e.g.,
+
+            >>> sudoku.find_conflicts("55.......")
+            {
+                squares: ["A1", "A2", "C3"],
+                duplicates: [
+                    {digit: "5", squares: ["A1", "A2"]},    // Row A
+                    {digit: "5", squares: ["A1", "A2"]},    // Box 1
+                ],
+                no_candidates: ["C3"],
+            }
+
+        `duplicates` are the digits that appear more than once in a unit, or
+        a killer cage. `no_candidates` are the blank squares left without any
+        candidates after eliminating the digits of their peers, and those of
+        squares left with a single candidate. `squares` are all of them, in
+        the order of SQUARES, e.g., to highlight them.
+        */
+
+		// Assure a valid board
+		this._check_board(board);
+
+		const duplicates = this._get_duplicates(board);
+		const no_candidates = this._get_squares_without_candidates(board);
+		const involved = {};
+		for(const di in duplicates){
+			for(const si in duplicates[di].squares){
+				involved[duplicates[di].squares[si]] = true;
+			}
+		}
+		for(const si in no_candidates){
+			involved[no_candidates[si]] = true;
+		}
+
+		return {
+			squares: this.SQUARES.filter(square => involved[square]),
+			duplicates: duplicates,
+			no_candidates: no_candidates,
+		};
+	}
+
+	_get_duplicates(board){
+		/* Return the digits on `board` that appear more than once in a unit,
+        or a cage, as a list of {digit, squares}.
+        */
+		const values = this._get_square_vals_map(board);
+		const groups = this.UNITS.concat(this.CAGES.map(cage => cage.squares));
+		const duplicates = [];
+		for(const gi in groups){
+			for(const di in this.DIGITS){
+				const squares = groups[gi].filter(
+					square => values[square] === this.DIGITS[di]);
+				if(squares.length > 1){
+					duplicates.push({digit: this.DIGITS[di], squares: squares});
+				}
+			}
+		}
+		return duplicates;
+	}
+
+	_get_squares_without_candidates(board){
+		/* Return the blank squares of `board` left without candidates after
+        eliminating the digits of their peers, and, over and over, of the
+        squares left with a single candidate.
+        */
+		const candidates = this.SOLVER.naive_candidates(board);
+		const blanks = this.SQUARES.filter(
+			(square, i) => board[i] === this.BLANK_CHAR);
+		const done = {};
+		let changed = true;
+		while(changed){
+			changed = false;
+			for(const bi in blanks){
+				const si = this.SQUARES.indexOf(blanks[bi]);
+				if(done[si] || this.SOLVER.count(candidates[si]) !== 1){
+					continue;
+				}
+				done[si] = changed = true;
+				const peers = this.SOLVER.SQUARE_PEERS[si];
+				for(const pi of peers){
+					if(board[pi] === this.BLANK_CHAR){
+						candidates[pi] &= ~candidates[si];
+					}
+				}
+			}
+		}
+		return blanks.filter(square => 
+			!candidates[this.SQUARES.indexOf(square)]);
+	}
+
+	validate_regions(regions){
+		/* Return if the given jigsaw `regions` map is valid or not, i.e.,
+        splits the board into as many connected regions as there are digits,
+        each with as many squares. If it's valid, return true. If it's not,
+        return a string of the reason why it's not. */
+
+		// Check for empty map
+		if(!regions){
+			return 'Empty region map';
+		}
+
+		// Invalid map length
+		if(regions.length !== this.NR_SQUARES){
+			return 'Invalid region map size. Region map must be exactly ' + 
+                this.NR_SQUARES + ' squares.';
+		}
+
+		// Check the number and size of the regions
+		const region_units = this._get_region_units(regions);
+		if(region_units.length !== this.SIZE){
+			return 'Invalid number of regions. There must be exactly ' + 
+                this.SIZE + ' regions.';
+		}
+		for(const ri in region_units){
+			const unit = region_units[ri];
+			const name = regions[this.SQUARES.indexOf(unit[0])];
+			if(unit.length !== this.SIZE){
+				return 'Invalid region size. Region ' + name + ' must have ' +
+                    'exactly ' + this.SIZE + ' squares.';
+			}
+
+			// Check every square can be reached from the first one
+			const reached = [unit[0]];
+			for(let i = 0; i < reached.length; ++i){
+				const neighbours = this._get_square_neighbours(reached[i]);
+				for(const ni in neighbours){
+					if(this._in(neighbours[ni], unit) && 
+                            !this._in(neighbours[ni], reached)){
+						reached.push(neighbours[ni]);
+					}
+				}
+			}
+			if(reached.length !== unit.length){
+				return 'Invalid region. Region ' + name + ' must be connected.';
+			}
+		}
+
 		// Otherwise, we're good. Return true.
 		return true;
 	}
@@ -728,15 +2744,35 @@ export default class Sudoku {
 	_rand_range = function(max, min){
 		/* Get a random integer in the range of `min` to `max` (non inclusive).
         If `min` not defined, default to 0. If `max` not defined, throw an 
-        error. */
+        InvalidOptionError. */
 		min = min || 0;
 		if(max){
-			return Math.floor(Math.random() * (max - min)) + min;
+			return Math.floor(this.random() * (max - min)) + min;
 		} else {
-			throw 'Range undefined';
+			throw new InvalidOptionError('Range undefined. Max must be ' + 
+                'a number above min.', {option: 'max', value: max});
 		}
 	};
 
+	_seeded_random(seed){
+		/* Return a deterministic random number generator in [0, 1) for
+        `seed`, a number or a string. Uses 32-bit integer math only (FNV-1a to
+        hash the seed, Mulberry32 to generate), so it's the same everywhere.
+        */
+		seed = String(seed);
+		let state = 0x811c9dc5;
+		for(let i = 0; i < seed.length; ++i){
+			state = Math.imul(state ^ seed.charCodeAt(i), 0x01000193);
+		}
+
+		return function(){
+			state = (state + 0x6d2b79f5) | 0;
+			let t = Math.imul(state ^ (state >>> 15), 1 | state);
+			t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+			return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+		};
+	}
+
 	_strip_dups = function(seq){
 		/* Strip duplicate values from `seq` */
 		const seq_set = [];
@@ -752,9 +2788,9 @@ export default class Sudoku {
 	};
     
 	_force_range(nr, max, min){
-		/* Force `nr` to be within the range from `min` to, but not including, 
-        `max`. `min` is optional, and will default to 0. If `nr` is undefined,
-        treat it as zero. */
+		/* Force `nr` to be within the range from `min` to `max` inclusive.
+        `min` is optional, and will default to 0. If `nr` is undefined, treat
+        it as zero. */
 		min = min || 0;
 		nr = nr || 0;
 		if(nr < min){
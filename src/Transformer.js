@@ -0,0 +1,386 @@
+import { InvalidOptionError } from './errors.js';
+
+// Transformations that keep a board valid, and the canonical form of a board
+// under them. On a board of boxes, these are relabeling the digits, swapping
+// rows within a band, i.e., a row of boxes, swapping bands, swapping columns
+// within a stack, i.e., a column of boxes, swapping stacks, and, if the boxes
+// are square, transposing and rotating.
+export default class Transformer {
+	SIZE = 9;                   // Rows, columns and digits per board
+	BOX_ROWS = 3;               // Rows per box, and per band
+	BOX_COLS = 3;               // Columns per box, and per stack
+
+	constructor(sudoku){
+		/* Create a transformer for boards of a `sudoku` instance. Variants,
+        jigsaw regions and cages don't survive these transformations, so the
+        instance must have plain boxes.
+        */
+		if(sudoku.VARIANTS.length || sudoku.REGIONS || sudoku.CAGES.length){
+			throw new InvalidOptionError('Invalid board layout. Boards can ' +
+                'only be transformed with plain boxes, without variants, ' +
+                'regions or cages.', {option: 'variant, regions, cages',
+				value: sudoku.VARIANTS});
+		}
+		this.sudoku = sudoku;
+		this.SIZE = sudoku.SIZE;
+		this.BOX_ROWS = sudoku.BOX_ROWS;
+		this.BOX_COLS = sudoku.BOX_COLS;
+	}
+
+	transform(board, spec){
+		/* Return `board` transformed by `spec`, see `Sudoku.transform`. The
+        steps of `spec` are applied in the order rotate, transpose, rows,
+        cols and digits.
+        */
+		const size = this.SIZE;
+		let values = board.split('');
+		const remap = fn => {
+			const remapped = [];
+			for(let r = 0; r < size; ++r){
+				for(let c = 0; c < size; ++c){
+					const [or, oc] = fn(r, c);
+					remapped.push(values[or * size + oc]);
+				}
+			}
+			values = remapped;
+		};
+
+		const last = size - 1;
+		const rotate = spec.rotate || 0;
+		if(rotate === 90){
+			this._check_square_boxes('rotate', rotate);
+			remap((r, c) => [last - c, r]);
+		} else if(rotate === 180){
+			remap((r, c) => [last - r, last - c]);
+		} else if(rotate === 270){
+			this._check_square_boxes('rotate', rotate);
+			remap((r, c) => [c, last - r]);
+		} else if(rotate !== 0){
+			throw new InvalidOptionError('Invalid rotate: ' + rotate +
+                '. Must be one of 0, 90, 180 and 270.',
+			{option: 'rotate', value: rotate});
+		}
+		if(spec.transpose){
+			this._check_square_boxes('transpose', spec.transpose);
+			remap((r, c) => [c, r]);
+		}
+		if(spec.rows){
+			this._check_permutation(spec.rows, this.BOX_ROWS, 'rows');
+			remap((r, c) => [spec.rows[r], c]);
+		}
+		if(spec.cols){
+			this._check_permutation(spec.cols, this.BOX_COLS, 'cols');
+			remap((r, c) => [r, spec.cols[c]]);
+		}
+		if(spec.digits){
+			const digits = this.sudoku.DIGITS;
+			if(spec.digits.length !== size || [...digits].some(
+				val => !this.sudoku._in(val, spec.digits))){
+				throw new InvalidOptionError('Invalid digits: ' + spec.digits +
+                    '. Must be the digits ' + digits + ' in any order.',
+				{option: 'digits', value: spec.digits});
+			}
+			values = values.map(val => this.sudoku._in(val, digits) ?
+				spec.digits[digits.indexOf(val)] : val);
+		}
+
+		return values.join('');
+	}
+
+	random_spec(){
+		/* Return a random transformation, as a `spec` for `transform`.
+        */
+		const digits = this.sudoku._shuffle(this.sudoku.DIGITS.split(''));
+		const spec = {
+			rows: this._random_permutation(this.BOX_ROWS),
+			cols: this._random_permutation(this.BOX_COLS),
+			digits: digits.join(''),
+		};
+		if(this.BOX_ROWS === this.BOX_COLS){
+			spec.transpose = this.sudoku._rand_range(2) === 1;
+		}
+		return spec;
+	}
+
+	canonicalize(board){
+		/* Return the canonical form of `board`, and the transformation that
+        gives it, as {board, transform}, see `Sudoku.canonicalize`.
+
+        The canonical form is the smallest board string, with blanks before
+        digits, and digits relabeled in the order they first appear. For
+        every transposition and column permutation, rows are chosen one at a
+        time, only following the rows that give the smallest next row so far.
+        */
+		const size = this.SIZE;
+		const values = Int8Array.from(board,
+			val => this.sudoku.DIGITS.indexOf(val));
+		const transposed = new Int8Array(values.length);
+		for(let r = 0; r < size; ++r){
+			for(let c = 0; c < size; ++c){
+				transposed[c * size + r] = values[r * size + c];
+			}
+		}
+
+		const search = {
+			best: new Int8Array(values.length),
+			best_rows: 0,           // Rows of `best` found so far
+			spec: null,
+		};
+		const col_perms = this._permutations(this.BOX_COLS);
+		const transposes = this.BOX_ROWS === this.BOX_COLS ? [false, true] :
+			[false];
+		for(const transpose of transposes){
+			const grid = transpose ? transposed : values;
+			for(const cols of col_perms){
+				const rows = [];
+				for(let r = 0; r < size; ++r){
+					rows.push(Int8Array.from(cols, c => grid[r * size + c]));
+				}
+				search.transpose = transpose;
+				search.cols = cols;
+				search.grid_rows = rows;
+				this._search_rows(search, [], new Int8Array(size).fill(-1), 0,
+					false);
+			}
+		}
+
+		let canonical = '';
+		for(const label of search.best){
+			canonical += label === -1 ? this.sudoku.BLANK_CHAR :
+				this.sudoku.DIGITS[label];
+		}
+		return {board: canonical, transform: search.spec};
+	}
+
+	_search_rows(search, chosen, labels, nr_labels, improved){
+		/* Choose the next row of the canonical form, given the rows `chosen`
+        so far, and the `labels` of the digits seen in them, and recurse on
+        every row that ties for the smallest. Set `search.best` to a smaller
+        board, and `search.spec` to its transformation, whenever one is
+        found. `improved` is whether the chosen rows are smaller than those
+        of the best board before this path.
+        */
+		const size = this.SIZE;
+		const depth = chosen.length;
+		if(depth === size){
+			if(improved || !search.spec){
+				search.spec = this._search_spec(search, chosen, labels,
+					nr_labels);
+			}
+			return;
+		}
+
+		// Rows that may go next: any row of a band not used yet at the start
+		// of a band, otherwise the rows left in the current band
+		const candidates = [];
+		const band_start = depth - depth % this.BOX_ROWS;
+		for(let r = 0; r < size; ++r){
+			const band = Math.floor(r / this.BOX_ROWS);
+			const fits = depth === band_start ?
+				!chosen.some(cr => Math.floor(cr / this.BOX_ROWS) === band) :
+				band === Math.floor(chosen[band_start] / this.BOX_ROWS) &&
+                !chosen.includes(r);
+			if(fits){
+				candidates.push(r);
+			}
+		}
+
+		// Relabel every candidate row, and keep the smallest, skipping rows
+		// identical to another of the same band, which lead to the same boards
+		let smallest = null;
+		let ties = [];
+		const seen = new Set();
+		for(const r of candidates){
+			const row = search.grid_rows[r];
+			const key = Math.floor(r / this.BOX_ROWS) + ':' + row.join(',');
+			if(seen.has(key)){
+				continue;
+			}
+			seen.add(key);
+			const relabeled = this._relabel(row, labels, nr_labels).row;
+			const cmp = smallest ? this._compare(relabeled, smallest, 0) : -1;
+			if(cmp < 0){
+				smallest = relabeled;
+				ties = [r];
+			} else if(cmp === 0){
+				ties.push(r);
+			}
+		}
+
+		// Compare with the same row of the best board, if the rows before it
+		// are the same
+		const offset = depth * size;
+		if(search.best_rows > depth){
+			const cmp = this._compare(smallest, search.best, offset);
+			if(cmp > 0){
+				return;
+			}
+			if(cmp < 0){
+				improved = true;
+			}
+		} else {
+			improved = true;
+		}
+		if(improved){
+			search.best.set(smallest, offset);
+			search.best_rows = depth + 1;
+		}
+
+		for(const r of ties){
+			// Later ties compare against the best board set by earlier ones
+			const relabel = this._relabel(search.grid_rows[r], labels,
+				nr_labels);
+			chosen.push(r);
+			this._search_rows(search, chosen, relabel.labels,
+				relabel.nr_labels, improved);
+			chosen.pop();
+			improved = false;
+		}
+	}
+
+	_search_spec(search, chosen, labels, nr_labels){
+		/* Return the transformation of the rows `chosen` in `search`, where
+        digits not seen get the labels left in order.
+        */
+		labels = labels.slice();
+		for(let di = 0; di < this.SIZE; ++di){
+			if(labels[di] === -1){
+				labels[di] = nr_labels++;
+			}
+		}
+		const spec = {
+			rows: chosen.slice(),
+			cols: search.cols.slice(),
+			digits: Array.from(labels,
+				label => this.sudoku.DIGITS[label]).join(''),
+		};
+		if(this.BOX_ROWS === this.BOX_COLS){
+			spec.transpose = search.transpose;
+		}
+		return spec;
+	}
+
+	_relabel(row, labels, nr_labels){
+		/* Return `row` with its digits relabeled by `labels`, giving digits
+        not seen yet the next labels, and the new labels, as
+        {row, labels, nr_labels}.
+        */
+		labels = labels.slice();
+		const relabeled = new Int8Array(row.length);
+		for(let i = 0; i < row.length; ++i){
+			const di = row[i];
+			if(di === -1){
+				relabeled[i] = -1;
+				continue;
+			}
+			if(labels[di] === -1){
+				labels[di] = nr_labels++;
+			}
+			relabeled[i] = labels[di];
+		}
+		return {row: relabeled, labels: labels, nr_labels: nr_labels};
+	}
+
+	_compare(row, values, offset){
+		/* Compare `row` with the same number of `values` from `offset`, and
+        return a negative number if it's smaller, 0 if equal, else positive.
+        */
+		for(let i = 0; i < row.length; ++i){
+			if(row[i] !== values[offset + i]){
+				return row[i] - values[offset + i];
+			}
+		}
+		return 0;
+	}
+
+	_permutations(block_size){
+		/* Return every permutation of the rows or columns of a board that
+        keeps blocks of `block_size`, i.e., bands or stacks, together, as
+        lists of old indices.
+        */
+		const nr_blocks = this.SIZE / block_size;
+		const orders = n => {
+			if(n === 0){
+				return [[]];
+			}
+			const shorter = orders(n - 1);
+			const result = [];
+			for(const order of shorter){
+				for(let i = 0; i <= order.length; ++i){
+					result.push(order.slice(0, i).concat([n - 1],
+						order.slice(i)));
+				}
+			}
+			return result;
+		};
+		const block_orders = orders(nr_blocks);
+		const inner_orders = orders(block_size);
+
+		let perms = [];
+		for(const block_order of block_orders){
+			let partial = [[]];
+			for(const block of block_order){
+				const next = [];
+				for(const perm of partial){
+					for(const inner of inner_orders){
+						next.push(perm.concat(inner.map(
+							i => block * block_size + i)));
+					}
+				}
+				partial = next;
+			}
+			perms = perms.concat(partial);
+		}
+		return perms;
+	}
+
+	_random_permutation(block_size){
+		/* Return a random permutation of the rows or columns of a board that
+        keeps blocks of `block_size` together.
+        */
+		const nr_blocks = this.SIZE / block_size;
+		const shuffle = n => {
+			const order = [];
+			for(let i = 0; i < n; ++i){
+				order.push(String(i));
+			}
+			return this.sudoku._shuffle(order).map(i => parseInt(i));
+		};
+		let perm = [];
+		for(const block of shuffle(nr_blocks)){
+			perm = perm.concat(shuffle(block_size).map(
+				i => block * block_size + i));
+		}
+		return perm;
+	}
+
+	_check_permutation(perm, block_size, option){
+		/* Throw unless `perm` is a permutation of the rows or columns of a
+        board that keeps blocks of `block_size` together.
+        */
+		let valid = Array.isArray(perm) && perm.length === this.SIZE &&
+            new Set(perm).size === this.SIZE;
+		for(let i = 0; valid && i < this.SIZE; ++i){
+			const block_start = perm[i - i % block_size];
+			valid = Number.isInteger(perm[i]) && perm[i] >= 0 &&
+                perm[i] < this.SIZE && Math.floor(perm[i] / block_size) ===
+                Math.floor(block_start / block_size);
+		}
+		if(!valid){
+			throw new InvalidOptionError('Invalid ' + option + ': ' + perm +
+                '. Must be a permutation of 0 to ' + (this.SIZE - 1) +
+                ' that keeps every ' + block_size + ' ' + option +
+                ' of a box together.', {option: option, value: perm});
+		}
+	}
+
+	_check_square_boxes(option, value){
+		/* Throw unless boxes are square, which transposing needs.
+        */
+		if(this.BOX_ROWS !== this.BOX_COLS){
+			throw new InvalidOptionError('Invalid ' + option + ': ' + value +
+                '. Only boards with square boxes can be transposed or ' +
+                'rotated by 90 degrees.', {option: option, value: value});
+		}
+	}
+}
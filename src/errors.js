@@ -0,0 +1,44 @@
+// Errors thrown by sudokujs. Each has a human readable message, and fields
+// saying what's wrong for programs, e.g.,
+//
+//     try {
+//         sudoku.solve(board);
+//     } catch(error){
+//         if(error instanceof InvalidCharacterError){
+//             highlight(error.square);
+//         }
+//     }
+
+// Base of every error, with the fields of the problem set on it
+export class SudokuError extends Error {
+	constructor(message, fields){
+		super(message);
+		this.name = new.target.name;
+		Object.assign(this, fields);
+	}
+}
+
+// Board hasn't got NR_SQUARES squares: {length, expected}
+export class InvalidLengthError extends SudokuError {}
+
+// Board has a character that's neither a digit nor blank:
+// {index, square, character}
+export class InvalidCharacterError extends SudokuError {}
+
+// Board has fewer givens than MIN_GIVENS: {givens, minimum}
+export class TooFewGivensError extends SudokuError {}
+
+// Board has the same digit given twice in a unit: {digit, squares}
+export class ContradictoryBoardError extends SudokuError {}
+
+// Board has no solution
+export class UnsolvableBoardError extends SudokuError {}
+
+// Option or argument isn't valid: {option, value}
+export class InvalidOptionError extends SudokuError {}
+
+// Text can't be parsed as a board: {format, line}, line if known
+export class ParseError extends SudokuError {}
+
+// Move in a Game isn't allowed: {square, digit}
+export class InvalidMoveError extends SudokuError {}
@@ -1,8 +1,12 @@
 /* Unit tests for sudokujs */
 
 import { test } from 'node:test';
-import { ok, deepEqual, throws, equal } from 'node:assert/strict';
-import Sudoku from '../src/Sudoku.js';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { ok, deepEqual, throws, rejects, equal } from 'node:assert/strict';
+import Sudoku, { DIFFICULTY, RATINGS, FORMATS, SYMMETRIES, Game, SudokuError, 
+	InvalidLengthError, TooFewGivensError, ContradictoryBoardError, 
+	UnsolvableBoardError } from '../src/Sudoku.js';
 
 const sudoku = new Sudoku();
 // 95 "difficult" puzzles from http://magictour.free.fr/top95
@@ -104,6 +108,504 @@ const TEST_PUZZLES = [
 	'3...8.......7....51..............36...2..4....7...........6.13..452...........8..'
 ];
 
+function is_solved(sudoku, board){
+	/* Return if `board` is filled in without repeating a digit in a unit */
+	if(!board || board.indexOf(sudoku.BLANK_CHAR) !== -1){
+		return false;
+	}
+	return sudoku.UNITS.every(unit =>{
+		const digits = unit.map(square => board[sudoku.SQUARES.indexOf(square)]);
+		return new Set(digits).size === unit.length;
+	});
+}
+
+
+// Generate
+// ========
+
+test('Generate unique', () =>{
+	for(const difficulty of ['easy', 'hard', 'very-hard']){
+		const board = sudoku.generate(difficulty);
+		const solution = sudoku.solve(board);
+
+		ok(solution, difficulty + ' is solvable');
+		equal(sudoku.solve(board, true), solution, difficulty + ' is unique');
+	}
+
+	// Uniqueness is reached with exactly the requested givens when possible
+	const board = sudoku.generate('medium');
+	equal(board.replace(/\./g, '').length, DIFFICULTY.medium, 'Medium givens');
+
+	// Low given counts are raised only as far as uniqueness requires
+	const inhuman = sudoku.generate('inhuman');
+	equal(sudoku.solve(inhuman, true), sudoku.solve(inhuman), 'Inhuman unique');
+});
+
+test('Generate non-unique', () =>{
+	const board = sudoku.generate('insane', false);
+
+	ok(sudoku.solve(board), 'Solvable');
+	equal(board.replace(/\./g, '').length, DIFFICULTY.insane, 'Insane givens');
+
+	const board_options = sudoku.generate('insane', {unique: false});
+	equal(board_options.replace(/\./g, '').length, DIFFICULTY.insane, 
+		'Insane givens with options');
+});
+
+test('Generate rated', () =>{
+	for(const rating of ['easy', 'medium']){
+		const board = sudoku.generate(undefined, {rating: rating});
+
+		equal(sudoku.rate(board).rating, rating, rating);
+		equal(sudoku.count_solutions(board, 2), 1, rating + ' is unique');
+	}
+	throws(() =>{sudoku.generate('easy', {rating: 'Hard'});}, 
+		{name: 'InvalidOptionError', option: 'rating', value: 'Hard'});
+	equal(sudoku.count_solutions(sudoku.generate('easy', null), 2), 1, 
+		'Null options');
+});
+
+test('Generate seeded', () =>{
+	const seeded1 = new Sudoku({seed: 1234});
+	const seeded2 = new Sudoku({seed: 1234});
+	const boards = [seeded1.generate('hard'), seeded1.generate('easy')];
+
+	// Same seed, same puzzles
+	deepEqual([seeded2.generate('hard'), seeded2.generate('easy')], boards, 
+		'Same seed');
+	ok(new Sudoku({seed: 4321}).generate('hard') !== boards[0], 
+		'Other seed');
+
+	// Seed per puzzle, e.g., puzzle #1234
+	const puzzle = sudoku.generate('medium', {seed: 'puzzle #1234'});
+	equal(sudoku.generate('medium', {seed: 'puzzle #1234'}), puzzle, 
+		'Same puzzle seed');
+	equal(seeded1.generate('medium', {seed: 'puzzle #1234'}), puzzle, 
+		'Same puzzle seed on other instance');
+
+	// A puzzle seed leaves the instance's own generator alone
+	equal(seeded1.generate('hard'), seeded2.generate('hard'), 
+		'Instance generator untouched');
+
+	// Injected random number generator
+	let calls = 0;
+	const injected = new Sudoku({random: () => ++calls * 0.618034 % 1});
+	ok(injected.solve(injected.generate('easy')), 'Injected generator');
+	ok(calls > 0, 'Injected generator used');
+});
+
+test('Generate symmetric', () =>{
+	const mirrors = {
+		'rotational':       (r, c) => [8 - r, 8 - c],
+		'rotational-90':    (r, c) => [c, 8 - r],
+		'horizontal':       (r, c) => [r, 8 - c],
+		'vertical':         (r, c) => [8 - r, c],
+		'diagonal':         (r, c) => [c, r],
+	};
+	for(const symmetry in mirrors){
+		for(const difficulty of ['easy', 'inhuman']){
+			const board = sudoku.generate(difficulty, {symmetry: symmetry});
+			const nr_givens = [...board].filter(val => val !== '.').length;
+			// Unique puzzles with few givens may need more of them
+			ok(nr_givens >= DIFFICULTY[difficulty] && (difficulty !== 'easy' ||
+                nr_givens < DIFFICULTY[difficulty] + 4), symmetry + ' givens');
+			equal(sudoku.count_solutions(board, 2), 1, symmetry + ' unique');
+			for(let i = 0; i < 81; ++i){
+				const [r, c] = mirrors[symmetry](Math.floor(i / 9), i % 9);
+				equal(board[i] === '.', board[r * 9 + c] === '.', 
+					symmetry + ' ' + i);
+			}
+		}
+	}
+	deepEqual(SYMMETRIES.slice(1), Object.keys(mirrors), 'Symmetries');
+
+	const rated = sudoku.generate('hard', {symmetry: 'rotational', 
+		rating: 'medium'});
+	equal(sudoku.rate(rated).rating, 'medium', 'Rating');
+	equal(sudoku.generate('hard', {symmetry: 'diagonal', seed: 3}),
+		sudoku.generate('hard', {symmetry: 'diagonal', seed: 3}), 'Seeded');
+	throws(() =>{sudoku.generate('easy', {symmetry: 'spiral'});}, 
+		{name: 'InvalidOptionError', option: 'symmetry', value: 'spiral'});
+});
+
+test('Minimal', () =>{
+	const puz = '..3.2.6..9..3.5..1..18.64....81.29..7.......8..67.82....26.95..8..2.3..9..5.1.3..';
+	const report = sudoku.is_minimal(puz, {report: true});
+	equal(report.minimal, false, 'Not minimal');
+	ok(report.redundant.includes('A3'), 'Redundant givens');
+	for(const square of report.redundant){
+		const i = sudoku.SQUARES.indexOf(square);
+		equal(sudoku.count_solutions(puz.slice(0, i) + '.' + puz.slice(i + 1), 
+			2), 1, square + ' redundant');
+	}
+	deepEqual(sudoku.is_minimal('.'.repeat(81), {report: true}), 
+		{minimal: false, redundant: []}, 'Not unique');
+
+	const minimal = sudoku.generate('easy', {minimal: true});
+	ok(sudoku.is_minimal(minimal), 'Generated minimal');
+	ok([...minimal].filter(val => val !== '.').length < DIFFICULTY.easy, 
+		'Past the difficulty');
+	equal(sudoku.is_minimal(minimal, {report: true}).redundant.length, 0, 
+		'No redundant givens');
+
+	const symmetric = sudoku.generate('easy', {minimal: true, 
+		symmetry: 'rotational'});
+	equal(sudoku.count_solutions(symmetric, 2), 1, 'Symmetric unique');
+	for(let i = 0; i < 81; ++i){
+		if(symmetric[i] !== '.' && symmetric[80 - i] !== '.'){
+			const removed = symmetric.split('');
+			removed[i] = removed[80 - i] = '.';
+			equal(sudoku.count_solutions(removed.join(''), 2), 2, 
+				'Group ' + i + ' needed');
+		}
+	}
+});
+
+test('Generate bank', () =>{
+	const puzzles = [];
+	const bank = sudoku.generate_bank({easy: 3, hard: 2}, {seed: 1, 
+		on_puzzle: puzzle => puzzles.push(puzzle)});
+	deepEqual(bank.puzzles, puzzles, 'Puzzles as generated');
+	deepEqual(bank.puzzles.map(puzzle => puzzle.tier), 
+		['easy', 'easy', 'easy', 'hard', 'hard'], 'Tiers');
+	for(const puzzle of bank.puzzles){
+		equal(sudoku.count_solutions(puzzle.board, 2), 1, 'Unique');
+		equal(sudoku.solve(puzzle.board), puzzle.solution, 'Solution');
+		equal(puzzle.rating, sudoku.rate(puzzle.board).rating, 'Rating');
+		equal(sudoku.generate(puzzle.tier, {seed: puzzle.seed}), puzzle.board,
+			'Seed');
+	}
+	equal(bank.summary.generated, 5, 'Generated');
+	equal(bank.summary.tiers.easy.givens.min, DIFFICULTY.easy, 'Givens');
+	deepEqual(sudoku.generate_bank({easy: 3, hard: 2}, {seed: 1}).puzzles
+		.map(puzzle => puzzle.board), bank.puzzles.map(puzzle => puzzle.board), 
+	'Seeded bank');
+
+	// Equivalent puzzles are duplicates
+	const excluded = sudoku.generate_bank({easy: 1}, {seed: 1, max_failures: 1,
+		exclude: [sudoku.transform(bank.puzzles[0].board)]});
+	deepEqual([excluded.summary.generated, excluded.summary.duplicates], [0, 1],
+		'Duplicate');
+	const small = new Sudoku({box_rows: 2, box_cols: 2});
+	const small_bank = small.generate_bank({easy: 100}, {seed: 2,
+		max_failures: 10});
+	ok(small_bank.summary.generated < 100, 'Stops when out of puzzles');
+	ok(small_bank.summary.duplicates >= 10, 'Duplicates counted');
+
+	// Larger boards only skip the very same puzzle
+	const large = new Sudoku({box_rows: 3, box_cols: 4});
+	large.canonicalize = () =>{
+		throw new Error('Too slow to canonicalize');
+	};
+	equal(large.generate_bank({easy: 2}, {seed: 1}).summary.generated, 2, 
+		'Large bank');
+});
+
+test('Generate upper bound', () =>{
+	// More givens than squares give every square
+	ok(!sudoku.generate(100).includes('.'), 'Generate');
+	const killer = sudoku.generate_killer(100);
+	equal(killer.board.length, sudoku.NR_SQUARES, 'Killer board size');
+	ok(!killer.board.includes('.'), 'Killer');
+});
+
+test('Generate bounded', async () =>{
+	const failing = new Sudoku();
+	let attempts = 0;
+	failing._generate_attempt = function*(){
+		++attempts;
+		yield;
+		return false;
+	};
+
+	// Give up after the attempts or time run out
+	equal(failing.generate('easy', {max_attempts: 3}), false, 'Max attempts');
+	equal(attempts, 3, 'Three attempts');
+	attempts = 0;
+	equal(failing.generate('easy', {timeout: 0}), false, 'Timeout');
+	equal(attempts, 1, 'One attempt');
+	ok(sudoku.generate('easy', {max_attempts: 1000, timeout: 10000}), 
+		'Within budget');
+
+	// The time is checked within an attempt, too
+	const slow = new Sudoku();
+	slow.rate = () =>{
+		const until = Date.now() + 5;
+		while(Date.now() < until);
+		return {rating: 'inhuman'};
+	};
+	const start = Date.now();
+	equal(slow.generate('easy', {rating: 'easy', timeout: 20}), false, 
+		'Timeout within an attempt');
+	ok(Date.now() - start < 200, 'Stopped in time');
+	equal(slow.deadline, Infinity, 'Deadline reset');
+	equal(new Sudoku({seed: 1}).generate_killer(0, 
+		{timeout: 0}), false, 'Killer timeout');
+
+	// Cancel
+	const controller = new AbortController();
+	controller.abort();
+	throws(() =>{sudoku.generate('easy', {signal: controller.signal});}, 
+		{name: 'AbortError'}, 'Aborted');
+
+	// Async
+	const board = await sudoku.generate_async('hard', {seed: 7});
+	equal(board, sudoku.generate('hard', {seed: 7}), 'Async');
+	equal(await failing.generate_async('easy', {max_attempts: 2}), false, 
+		'Async gives up');
+	const async_controller = new AbortController();
+	const aborted = failing.generate_async('easy', 
+		{signal: async_controller.signal});
+	async_controller.abort();
+	await rejects(aborted, {name: 'AbortError'}, 'Async aborted');
+
+	// An async attempt lets the signal be aborted, and stops, partway
+	const slower = new Sudoku();
+	slower.rate = () =>{
+		const until = Date.now() + 20;
+		while(Date.now() < until);
+		return {rating: 'inhuman'};
+	};
+	const within = slower.generate_async('easy', {rating: 'easy', 
+		signal: AbortSignal.timeout(50)});
+	const async_start = Date.now();
+	await rejects(within, {name: 'TimeoutError'}, 'Aborted within an attempt');
+	ok(Date.now() - async_start < 200, 'Aborted in time');
+	equal(slower.signal, null, 'Signal reset');
+});
+
+test('Seeded random', () =>{
+	const random = sudoku._seeded_random(42);
+	const values = [random(), random(), random()];
+
+	// Stable on every platform
+	deepEqual(values, [0.3077305785845965, 0.3676118436269462, 
+		0.23133554426021874]);
+	for(const value of values){
+		ok(value >= 0 && value < 1, 'In range');
+	}
+	deepEqual([sudoku._seeded_random('42')()], [values[0]], 'String seed');
+});
+
+test('Board sizes', () =>{
+	for(const [box_rows, box_cols] of [[2, 2], [2, 3], [3, 4]]){
+		const sized = new Sudoku({box_rows: box_rows, box_cols: box_cols});
+		const size = box_rows * box_cols;
+		const name = size + 'x' + size;
+
+		equal(sized.SIZE, size, name + ' size');
+		equal(sized.NR_SQUARES, size * size, name + ' squares');
+		equal(sized.DIGITS.length, size, name + ' digits');
+		equal(sized.UNITS.length, 3 * size, name + ' units');
+		equal(sized.BLANK_BOARD.length, size * size, name + ' blank board');
+
+		const board = sized.generate('hard');
+		const solution = sized.solve(board);
+		equal(sized.validate_board(board), true, name + ' valid');
+		ok(is_solved(sized, solution), name + ' solved');
+		equal(sized.count_solutions(board, 2), 1, name + ' unique');
+		deepEqual(sized.board_grid_to_string(sized.board_string_to_grid(board)),
+			board, name + ' grid');
+		equal(sized.get_candidates(board).length, size, name + ' candidates');
+	}
+
+	// Digits after 9 are letters
+	const sudoku16 = new Sudoku({box_rows: 4, box_cols: 4});
+	equal(sudoku16.DIGITS, '123456789ABCDEFG', '16x16 digits');
+	equal(sudoku.COLS, '123456789', '9x9 columns');
+	equal(new Sudoku({box_rows: 2, box_cols: 3}).COLS, '123456', 
+		'6x6 columns');
+	deepEqual(sudoku16.COLS.slice(8, 10), ['9', '10'], '16x16 columns');
+	deepEqual(sudoku16.SQUARE_UNITS_MAP['P16'], [
+		sudoku16._cross('P', sudoku16.COLS),
+		sudoku16._cross('ABCDEFGHIJKLMNOP', ['16']),
+		sudoku16._cross('MNOP', ['13', '14', '15', '16'])
+	], '16x16 units');
+
+	// Solve a 16x16 board with every other square blank
+	let board = '';
+	for(let r = 0; r < 16; ++r){
+		for(let c = 0; c < 16; ++c){
+			const digit = sudoku16.DIGITS[(4 * (r % 4) + Math.floor(r / 4) + c) % 16];
+			board += (r + c) % 2 ? '.' : digit;
+		}
+	}
+	ok(is_solved(sudoku16, sudoku16.solve(board)), '16x16 solved');
+
+	// Board of the wrong size
+	ok(sudoku16.validate_board(TEST_PUZZLES[0]) !== true, 'Wrong size');
+	throws(() =>{new Sudoku({box_rows: 1, box_cols: 3});}, 'Invalid box size');
+});
+
+test('Variants', () =>{
+	for(const variant of ['x', 'hyper', 'centre-dot', ['x', 'hyper']]){
+		const variant_sudoku = new Sudoku({variant: variant});
+		const board = variant_sudoku.generate('hard');
+		const solution = variant_sudoku.solve(board);
+
+		equal(variant_sudoku.validate_board(board), true, variant + ' valid');
+		ok(is_solved(variant_sudoku, solution), variant + ' solved');
+		ok(is_solved(sudoku, solution), variant + ' classic solution');
+		equal(variant_sudoku.count_solutions(board, 2), 1, variant + ' unique');
+	}
+
+	// Extra units
+	const sudoku_x = new Sudoku({variant: 'x'});
+	deepEqual(sudoku_x.VARIANT_UNITS, [
+		['diagonal A1-I9', 
+			['A1', 'B2', 'C3', 'D4', 'E5', 'F6', 'G7', 'H8', 'I9']],
+		['diagonal A9-I1', 
+			['A9', 'B8', 'C7', 'D6', 'E5', 'F4', 'G3', 'H2', 'I1']]
+	], 'Sudoku X units');
+	equal(sudoku_x.SQUARE_UNITS_MAP['E5'].length, 5, 'Centre square units');
+	deepEqual(new Sudoku({variant: 'hyper'}).VARIANT_UNITS[3], ['window 4', 
+		['F6', 'F7', 'F8', 'G6', 'G7', 'G8', 'H6', 'H7', 'H8']], 'Windows');
+	deepEqual(new Sudoku({variant: 'centre-dot'}).VARIANT_UNITS, [
+		['centre dots', ['B2', 'B5', 'B8', 'E2', 'E5', 'E8', 'H2', 'H5', 'H8']]
+	], 'Centre dots');
+
+	// Candidates see the diagonals
+	const puz = '5' + sudoku_x.BLANK_BOARD.slice(1);
+	ok(sudoku.get_candidates(puz)[4][4].indexOf('5') !== -1, 'Classic E5');
+	ok(sudoku_x.get_candidates(puz)[4][4].indexOf('5') === -1, 'Sudoku X E5');
+
+	// A classic solution that repeats a digit on a diagonal
+	const classic = 
+        '527316489896542731314987562172453896689271354453698217941825673765134'+
+        '928238769145';
+	ok(sudoku.solve(classic), 'Classic solution');
+	ok(!sudoku_x.solve(classic), 'Not a Sudoku X solution');
+
+	// Logical steps on a variant board agree with the solution
+	const board = sudoku_x.generate('inhuman');
+	const solution = sudoku_x.solve(board);
+	for(const step of sudoku_x.solve_logically(board).steps){
+		for(const elimination of step.eliminations){
+			const i = sudoku_x.SQUARES.indexOf(elimination.square);
+			ok(elimination.digit !== solution[i], step.description);
+		}
+	}
+
+	throws(() =>{new Sudoku({variant: 'nope'});}, 'Invalid variant');
+	throws(() =>{new Sudoku({box_rows: 2, box_cols: 3, variant: 'hyper'});}, 
+		'Invalid hyper variant');
+});
+
+test('Killer', () =>{
+	const killer = new Sudoku({cages: [
+		{squares: ['A1', 'A2'], sum: 3},
+		{squares: ['B1', 'B2', 'B3'], sum: 24},
+		{squares: ['I9'], sum: 5}
+	]});
+
+	// Cages
+	deepEqual(sudoku._get_combos(2, 3), ['12'], 'Combos of 3');
+	deepEqual(sudoku._get_combos(3, 10), ['127', '136', '145', '235'], 
+		'Combos of 10');
+	deepEqual(killer.CAGES[1].combos, ['789'], 'Cage combos');
+	equal(killer.SQUARE_CAGE_MAP['B2'], killer.CAGES[1], 'Square cage');
+
+	// The logical techniques don't know about cage sums
+	for(const method of ['solve_logically', 'rate', 'hint']){
+		throws(() =>{killer[method](killer.BLANK_BOARD);}, 
+			{name: 'InvalidOptionError', option: 'cages'}, method);
+	}
+	equal(killer.MIN_GIVENS, 0, 'No givens needed');
+
+	// Candidates add up to the cage sums, and don't repeat in cages
+	const candidates = killer.get_candidates(killer.BLANK_BOARD);
+	deepEqual(candidates[0].slice(0, 2), ['12', '12'], 'Sum of 3');
+	deepEqual(candidates[1].slice(0, 3), ['789', '789', '789'], 'Sum of 24');
+	equal(candidates[8][8], '5', 'Sum of 5');
+	equal(killer.get_candidates('3' + killer.BLANK_BOARD.slice(1)), false, 
+		'Given breaks a cage');
+
+	// Generate unique puzzles without givens
+	const seeded = new Sudoku({seed: 1});
+	for(const givens of [0, 10]){
+		const puzzle = seeded.generate_killer(givens);
+		const puzzle_killer = new Sudoku({cages: puzzle.cages});
+		const solution = puzzle_killer.solve(puzzle.board);
+
+		equal(puzzle.board.replace(/\./g, '').length, givens, 'Givens');
+		equal(puzzle_killer.count_solutions(puzzle.board, 2), 1, 'Unique');
+		ok(is_solved(sudoku, solution), 'Solved');
+
+		// Cages cover the board, add up and are connected
+		const caged = [].concat(...puzzle.cages.map(cage => cage.squares));
+		deepEqual(caged.sort(), sudoku.SQUARES.slice().sort(), 'Cover');
+		for(const cage of puzzle.cages){
+			const vals = cage.squares.map(
+				square => +solution[sudoku.SQUARES.indexOf(square)]);
+			equal(vals.reduce((a, b) => a + b), cage.sum, 'Sum');
+			equal(new Set(vals).size, vals.length, 'No repeats');
+			ok(cage.squares.every(square => cage.squares.length === 1 ||
+				sudoku._get_square_neighbours(square).some(
+					neighbour => cage.squares.includes(neighbour))), 'Connected');
+		}
+	}
+
+	throws(() =>{new Sudoku({cages: [{squares: ['A1', 'A2'], sum: 18}]});},
+		'Impossible sum');
+	throws(() =>{new Sudoku({cages: [{squares: ['A1'], sum: 1}, 
+		{squares: ['A1', 'A2'], sum: 3}]});}, 'Overlapping cages');
+});
+
+test('Jigsaw', () =>{
+	const regions =
+        'AAABBBCCC' +
+        'AAABBBCCC' +
+        'AADBBBCCC' +
+        'ADDEEEFFF' +
+        'DDDEEEFFF' +
+        'DDDEEEFFF' +
+        'GGGHHHIII' +
+        'GGGHHHIII' +
+        'GGGHHHIII';
+	const jigsaw = new Sudoku({regions: regions});
+
+	// Regions instead of boxes
+	equal(jigsaw.UNITS.length, 27, '27 units');
+	deepEqual(jigsaw.UNITS[18], 
+		['A1', 'A2', 'A3', 'B1', 'B2', 'B3', 'C1', 'C2', 'D1'], 'Region A');
+	deepEqual(jigsaw.UNITS[21], 
+		['C3', 'D2', 'D3', 'E1', 'E2', 'E3', 'F1', 'F2', 'F3'], 'Region D');
+	ok(jigsaw.SQUARE_PEERS_MAP['A1'].includes('D1'), 'Region peers');
+	ok(!jigsaw.SQUARE_PEERS_MAP['A1'].includes('C3'), 'Not box peers');
+	const numbered = new Sudoku({regions: regions.replace(/[A-I]/g, 
+		letter => String(9 - 'ABCDEFGHI'.indexOf(letter)))});
+	deepEqual(numbered.UNITS, jigsaw.UNITS, 'Numbered regions in order');
+
+	// Generate and solve
+	const board = jigsaw.generate('hard');
+	const solution = jigsaw.solve(board);
+	ok(is_solved(jigsaw, solution), 'Solved');
+	equal(jigsaw.count_solutions(board, 2), 1, 'Unique');
+	ok(jigsaw.solve_logically(board).steps.length > 0, 'Solved logically');
+
+	// Region maps
+	equal(sudoku.validate_regions(regions), true, 'Valid');
+	ok(sudoku.validate_regions() !== true, 'Empty');
+	ok(sudoku.validate_regions(regions.slice(1)) !== true, 'Size');
+	ok(sudoku.validate_regions(regions.replace('I', 'J')) !== true, 
+		'Number of regions');
+	ok(sudoku.validate_regions('B' + regions.slice(1)) !== true, 
+		'Region sizes');
+	equal(sudoku.validate_regions(
+		'AAABBBCCC' +
+        'AAABBBCCC' +
+        'ADABBBCCC' +
+        'DADEEEFFF' +
+        'DDDEEEFFF' +
+        'DDDEEEFFF' +
+        'GGGHHHIII' +
+        'GGGHHHIII' +
+        'GGGHHHIII'
+	), 'Invalid region. Region A must be connected.', 'Connected');
+
+	throws(() =>{new Sudoku({regions: regions.slice(1)});}, 'Invalid regions');
+});
+
 
 // Solve
 // =====
@@ -160,6 +662,394 @@ test('Solve', () =>{
 	throws(() =>{sudoku.solve(puz_invalid_chars);}, 'Invalid characters');
 });
 
+test('Solve stats', () =>{
+	const puz = TEST_PUZZLES[0];
+	const events = [];
+	const result = sudoku.solve(puz, {stats: true, 
+		on_event: event => events.push(event)});
+	equal(result.solution, sudoku.solve(puz), 'Same solution');
+	const stats = result.stats;
+	ok(stats.nodes > 1 && stats.max_depth > 0, 'Searched');
+	ok(stats.time >= 0, 'Time');
+	const count = type => events.filter(event => event.type === type).length;
+	deepEqual([count('guess'), count('backtrack'), count('assign'), 
+		count('eliminate')], [stats.guesses, stats.backtracks, 
+		stats.assignments, stats.propagations], 'An event per step');
+	equal(Math.max(...events.map(event => event.depth)), stats.max_depth,
+		'Depth');
+
+	// Replaying the events, undoing each branch on backtracks, gives the
+	// solution
+	let board = puz.split('');
+	const saved = [];
+	for(const event of events){
+		if(event.type === 'guess'){
+			saved.push(board.slice());
+		} else if(event.type === 'backtrack'){
+			board = saved.pop();
+		}
+		const i = sudoku.SQUARES.indexOf(event.square);
+		if(event.type === 'guess' || event.type === 'assign' || 
+                event.type === 'eliminate' && event.candidates.length === 1){
+			board[i] = event.type === 'eliminate' ? event.candidates : 
+				event.digit;
+		}
+	}
+	equal(board.join(''), result.solution, 'Replayed');
+
+	// A puzzle solved by propagation alone needs no guesses
+	equal(sudoku.solve(puz.replace(/\./g, (_, i) => 
+		result.solution[i]), {stats: true}).stats.guesses, 0, 'No guesses');
+	equal(sudoku.solve(puz, true), sudoku.solve(puz, {reverse: true}), 
+		'Reverse');
+});
+
+test('Solve logically', () =>{
+	const puz_easy = 
+        '..3.2.6..9..3.5..1..18.64....81.29..7.......8..67.82....26.95..8..2.3'+
+        '..9..5.1.3..';
+	const puz_guessing = TEST_PUZZLES[3];
+
+	// An easy puzzle needs only simple techniques
+	const report = sudoku.solve_logically(puz_easy);
+	ok(report.solved, 'Solved');
+	equal(report.board, sudoku.solve(puz_easy), 'Same solution as solve');
+	equal(report.stuck, false, 'Not stuck');
+	for(const step of report.steps){
+		ok(['Naked Single', 'Hidden Single'].includes(step.technique), 
+			step.description);
+	}
+	deepEqual(report.steps[0], {
+		technique: 'Naked Single',
+		squares: ['E6'],
+		units: [],
+		placements: [{square: 'E6', digit: '4'}],
+		eliminations: [],
+		description: 'Naked Single: E6 can only be 4'
+	}, 'First step');
+
+	// Every step of hard puzzles agrees with the solution
+	for(const puz of TEST_PUZZLES.slice(0, 20)){
+		const solution = sudoku.solve(puz);
+		for(const step of sudoku.solve_logically(puz).steps){
+			ok(step.squares.length > 0, step.description);
+			for(const placement of step.placements){
+				const i = sudoku.SQUARES.indexOf(placement.square);
+				equal(placement.digit, solution[i], step.description);
+			}
+			for(const elimination of step.eliminations){
+				const i = sudoku.SQUARES.indexOf(elimination.square);
+				ok(elimination.digit !== solution[i], step.description);
+			}
+		}
+	}
+
+	// A puzzle that needs guessing gets stuck
+	const stuck = sudoku.solve_logically(puz_guessing);
+	ok(!stuck.solved, 'Not solved');
+	equal(stuck.stuck.board, stuck.board, 'Stuck board');
+	equal(stuck.stuck.candidates.length, 9, 'Stuck candidates');
+
+	throws(() =>{sudoku.solve_logically('123');}, 'Invalid board size');
+});
+
+test('Logical techniques', () =>{
+	const techniques = {};
+	for(const i of [3, 4, 7, 14, 19, 34, 70]){
+		for(const step of sudoku.solve_logically(TEST_PUZZLES[i]).steps){
+			techniques[step.technique] = true;
+		}
+	}
+	for(const technique of ['Naked Single', 'Hidden Single', 'Naked Pair', 
+		'Hidden Pair', 'Naked Triple', 'Hidden Triple', 'Pointing Pair', 
+		'Box/Line Reduction', 'X-Wing', 'Swordfish', 'XY-Wing', 
+		'Simple Coloring']){
+		ok(techniques[technique], technique);
+	}
+});
+
+test('Hint', () =>{
+	const puz = 
+        '..3.2.6..9..3.5..1..18.64....81.29..7.......8..67.82....26.95..8..2.3'+
+        '..9..5.1.3..';
+	const solution = sudoku.solve(puz);
+
+	// The hint is the first step of solve_logically, in its region
+	const hint = sudoku.hint(puz);
+	deepEqual(hint, Object.assign({
+		level: 'move',
+		region: {name: 'row E', squares: sudoku.UNITS.find(
+			unit => unit.includes('E6') && unit.includes('E1'))},
+	}, sudoku.solve_logically(puz).steps[0]), 'Move');
+	deepEqual(sudoku.hint(puz, {level: 'region'}), 
+		{level: 'region', region: hint.region}, 'Region');
+	deepEqual(sudoku.hint(puz, {level: 'technique'}), {level: 'technique', 
+		region: hint.region, technique: 'Naked Single'}, 'Technique');
+
+	// Wrong entries are returned instead of a hint
+	const game = new Game(sudoku, puz);
+	game.set('A1', solution[0]);
+	ok(game.hint().placements.length, 'Hint with right entries');
+	game.set('A2', solution[0]);
+	deepEqual(game.hint(), {mistakes: ['A2']}, 'Mistakes');
+	deepEqual(sudoku.hint('11' + puz.slice(2)).mistakes, 
+		sudoku.find_conflicts('11' + puz.slice(2)).squares, 'Conflicts');
+
+	// Without a technique, a square of the solution is revealed
+	const stuck = sudoku.solve_logically(TEST_PUZZLES[3]).stuck;
+	const revealed = sudoku.hint(stuck.board, {givens: TEST_PUZZLES[3], 
+		candidates: stuck.candidates});
+	equal(revealed.technique, null, 'No technique');
+	const placement = revealed.placements[0];
+	equal(placement.digit, sudoku.solve(TEST_PUZZLES[3])[
+		sudoku.SQUARES.indexOf(placement.square)], 'Revealed square');
+
+	// With several solutions, only entries no solution has are mistakes,
+	// and no square is revealed
+	const several = sudoku.BLANK_BOARD;
+	equal(sudoku.hint('2' + several.slice(1), {givens: several}), null, 
+		'Not forced');
+	equal(sudoku.hint('22' + several.slice(2), {givens: several}).mistakes
+		.length, 1, 'Fewest mistakes');
+
+	equal(sudoku.hint(solution), false, 'Solved board');
+	throws(() =>{sudoku.hint(puz, {level: 'all'});}, 
+		{name: 'InvalidOptionError', option: 'level', value: 'all'});
+});
+
+test('Check progress', () =>{
+	const puz = 
+        '..3.2.6..9..3.5..1..18.64....81.29..7.......8..67.82....26.95..8..2.3'+
+        '..9..5.1.3..';
+	const solution = sudoku.solve(puz);
+	const board = puz.split('');
+	board[0] = solution[0];
+	board[1] = solution[0];
+	board[3] = solution[3];
+	board[7] = '7';
+	const report = sudoku.check_progress(puz, board.join(''));
+	equal(report.givens.length, 32, 'Givens');
+	deepEqual(report.entries, ['A1', 'A2', 'A4', 'A8'], 'Entries');
+	deepEqual(report.conflicts, ['A1', 'A2'], 'Conflicts');
+	deepEqual(report.mistakes, ['A2', 'A8'], 'Mistakes');
+	deepEqual(report.removals, ['A2', 'A8'], 'Removals');
+	equal(report.solved, false, 'Not solved');
+	deepEqual(sudoku.check_progress(puz, board.join(''), 
+		{solution: solution}), report, 'Stored solution');
+	const stored = new Sudoku();
+	stored.SOLVER.candidates = () =>{
+		throw new Error('Solved again');
+	};
+	deepEqual(stored.check_progress(puz, board.join(''), 
+		{solution: solution}), report, 'Not solved again');
+	ok(sudoku.check_progress(puz, solution).solved, 'Solved');
+
+	// Without a unique solution, the fewest entries are cleared
+	const rows = solution.slice(0, 9) + '.'.repeat(9) + solution.slice(0, 9);
+	const several = sudoku.check_progress(sudoku.BLANK_BOARD, 
+		rows + '.'.repeat(54));
+	equal(several.mistakes, null, 'No mistakes');
+	equal(several.removals.length, 9, 'Removals');
+	ok(sudoku.count_solutions(rows.split('').map((val, i) => 
+		several.removals.includes(sudoku.SQUARES[i]) ? '.' : val).join('') + 
+        '.'.repeat(54), 1), 'Solvable');
+
+	const game = new Game(sudoku, puz);
+	game.set('A2', solution[0]);
+	deepEqual(game.check_progress().mistakes, ['A2'], 'Game');
+
+	throws(() =>{sudoku.check_progress(puz, solution.replace(/^(..)./, 
+		'$1' + (solution[2] === '1' ? '2' : '1')));}, 
+	{name: 'InvalidOptionError', option: 'player_board'});
+	throws(() =>{sudoku.check_progress('11' + puz.slice(2), puz);}, 
+		{name: 'InvalidOptionError'});
+});
+
+test('Rate', () =>{
+	const puz_easy = 
+        '..3.2.6..9..3.5..1..18.64....81.29..7.......8..67.82....26.95..8..2.3'+
+        '..9..5.1.3..';
+	const puz_unsolvable = 
+        '.........9......84.623...5....6...453...1...6...9...7....1.....4.5..2'+
+        '....3.8...99';
+
+	deepEqual(sudoku.rate(puz_easy), {
+		rating: 'easy',
+		score: 49,
+		hardest: 'Naked Single',
+		solved: true,
+		techniques: {'Naked Single': 49}
+	}, 'Easy');
+
+	const medium = sudoku.rate(TEST_PUZZLES[0]);
+	equal(medium.rating, 'medium', 'Medium');
+	equal(medium.hardest, 'Hidden Pair', 'Medium hardest');
+
+	equal(sudoku.rate(TEST_PUZZLES[14]).rating, 'hard', 'Hard');
+	equal(sudoku.rate(TEST_PUZZLES[4]).rating, 'very-hard', 'Very hard');
+
+	// Puzzles that need guessing
+	const inhuman = sudoku.rate(TEST_PUZZLES[3]);
+	equal(inhuman.rating, 'inhuman', 'Inhuman');
+	ok(!inhuman.solved, 'Inhuman needs guessing');
+	ok(inhuman.score > sudoku.rate(TEST_PUZZLES[4]).score, 'Inhuman score');
+
+	// Ratings are in order
+	deepEqual(RATINGS, ['easy', 'medium', 'hard', 'very-hard', 'insane', 
+		'inhuman']);
+
+	throws(() =>{sudoku.rate(puz_unsolvable);}, 
+		{name: 'ContradictoryBoardError', digit: '9', squares: ['I8', 'I9']}, 
+		'Contradictory');
+	throws(() =>{sudoku.rate('5.3.2.6..9..3.5..1..18.64....81.29..7.......8' +
+        '..67.82....26.95..8..2.3..9..5.1.3..');}, 
+	{name: 'UnsolvableBoardError'}, 'Unsolvable');
+	throws(() =>{sudoku.rate('123');}, 'Invalid board size');
+});
+
+test('Count solutions', () =>{
+	const puz = 
+        '52...6.........7.13...........4..8..6......5...........418.........3.'+
+        '.2...87.....';
+	const puz_multiple = 
+        '5..3..4..89..4..3..1..8..62..2..3..6..92..3..4..6..21..4..2..7..65..4'+
+        '..8..8..91..';
+	const puz_unsolvable = 
+        '.........9......84.623...5....6...453...1...6...9...7....1.....4.5..2'+
+        '....3.8...99';
+
+	equal(sudoku.count_solutions(puz), 1, 'Unique');
+	equal(sudoku.count_solutions(puz_multiple), 3, 'Multiple');
+	equal(sudoku.count_solutions(puz_multiple, 2), 2, 'Stops at limit');
+	equal(sudoku.count_solutions(puz_unsolvable), 0, 'Unsolvable');
+	equal(sudoku.count_solutions(sudoku.BLANK_BOARD, 10), 10, 'Blank board');
+
+	throws(() =>{sudoku.count_solutions('123');}, 'Invalid board size');
+});
+
+test('Solutions', () =>{
+	const puz_multiple = 
+        '5..3..4..89..4..3..1..8..62..2..3..6..92..3..4..6..21..4..2..7..65..4'+
+        '..8..8..91..';
+	const solutions = [...sudoku.solutions(puz_multiple)];
+
+	// All distinct solutions that keep the givens
+	equal(solutions.length, 3, 'Three solutions');
+	equal(new Set(solutions).size, 3, 'Distinct solutions');
+	for(const solution of solutions){
+		for(const i in puz_multiple){
+			ok(puz_multiple[i] === '.' || puz_multiple[i] === solution[i]);
+		}
+	}
+
+	// Same order as solving forwards and backwards
+	equal(solutions[0], sudoku.solve(puz_multiple), 'First is forward solve');
+	equal(solutions[2], sudoku.solve(puz_multiple, true), 
+		'Last is reverse solve');
+
+	// Stable order
+	deepEqual([...sudoku.solutions(puz_multiple)], solutions, 'Stable order');
+
+	// Lazy on an under-constrained board
+	const it = sudoku.solutions(sudoku.BLANK_BOARD);
+	ok(it.next().value !== it.next().value, 'Lazy enumeration');
+});
+
+test('Game', () =>{
+	const puz = 
+        '..3.2.6..9..3.5..1..18.64....81.29..7.......8..67.82....26.95..8..2.3..9..5.1.3..';
+	const solution = sudoku.solve(puz);
+	const game = new Game(sudoku, puz);
+
+	// Entries, but not on givens
+	game.set('A1', '4');
+	equal(game.get('A1'), '4', 'Entry');
+	equal(game.get('A3'), '3', 'Given');
+	ok(game.is_given('A3') && !game.is_given('A1'), 'Is given');
+	throws(() =>{game.set('A3', '5');}, 'Given square');
+	throws(() =>{game.set('A1', 'X');}, 'Invalid digit');
+	throws(() =>{game.set('Z1', '1');}, 'Invalid square');
+	equal(game.board(), '4' + puz.slice(1), 'Board');
+
+	// Pencil marks
+	game.toggle_mark('A2', '8');
+	game.toggle_mark('A2', '5');
+	game.toggle_mark('A2', '1');
+	equal(game.get_marks('A2'), '158', 'Sorted marks');
+	game.toggle_mark('A2', '1');
+	equal(game.get_marks('A2'), '58', 'Toggled off');
+
+	// Undo and redo
+	ok(game.undo(), 'Undo');
+	equal(game.get_marks('A2'), '158', 'Undone');
+	ok(game.redo(), 'Redo');
+	equal(game.get_marks('A2'), '58', 'Redone');
+	ok(!game.redo(), 'Nothing to redo');
+	game.undo();
+	game.set('A2', '5');
+	ok(!game.redo(), 'New move clears redo');
+	game.clear('A2');
+	equal(game.get('A2'), '.', 'Cleared');
+	equal(game.get_marks('A2'), '', 'Cleared marks');
+
+	// Conflicts and mistakes
+	game.set('A2', '6');
+	deepEqual(game.get_conflicts(), ['A2', 'A7'], 'Conflicts');
+	deepEqual(game.get_mistakes(), ['A2'], 'Mistakes');
+	game.set('A2', solution[1]);
+	deepEqual(game.get_conflicts(), [], 'No conflicts');
+	deepEqual(game.get_mistakes(), [], 'No mistakes');
+
+	// Completion
+	ok(!game.is_complete() && !game.is_solved(), 'Not complete');
+	for(const si in sudoku.SQUARES){
+		if(!game.is_given(sudoku.SQUARES[si])){
+			game.set(sudoku.SQUARES[si], solution[si]);
+		}
+	}
+	ok(game.is_complete() && game.is_solved(), 'Solved');
+	game.set('I9', solution[80] === '1' ? '2' : '1');
+	ok(game.is_complete() && !game.is_solved(), 'Complete, not solved');
+
+	// Resume from JSON
+	const resumed = Game.from_json(sudoku, game.to_json());
+	equal(resumed.board(), game.board(), 'Resumed board');
+	deepEqual(resumed.marks, game.marks, 'Resumed marks');
+	ok(resumed.undo() && resumed.get('I9') === solution[80], 'Resumed moves');
+	throws(() =>{new Game(sudoku, 'abc');}, 'Invalid board');
+});
+
+test('Bit solver', () =>{
+	const solver = sudoku.SOLVER;
+
+	// Masks of digits
+	equal(solver.mask('13'), 0b101, 'Mask');
+	equal(solver.digits(0b101), '13', 'Digits');
+	equal(solver.count(solver.ALL), 9, 'Count');
+	equal(new Sudoku({box_rows: 4, box_cols: 4}).SOLVER.digits(1 << 15), 'G',
+		'Digits on 16x16');
+
+	// Index-based peers and units
+	equal(solver.SQUARE_PEERS[0].length, 20, '20 peers');
+	deepEqual(Array.from(solver.SQUARE_UNITS[80][0]), 
+		[72, 73, 74, 75, 76, 77, 78, 79, 80], 'Row I');
+
+	// Propagation, with a copy left untouched
+	const puz = 
+        '52...6.........7.13...........4..8..6......5...........418.........3..2' +
+        '...87.....';
+	const solution = sudoku.solve(puz);
+	const candidates = solver.candidates(puz);
+	const copy = candidates.slice();
+	ok(solver.assign(copy, 2, solver.mask(solution[2])), 'Assign');
+	equal(copy[2], solver.mask(solution[2]), 'Assigned');
+	deepEqual(solver.to_map(candidates), sudoku._get_candidates_map(puz), 
+		'Copy untouched');
+	equal(solver.candidates('55' + puz.slice(2)), false, 'Contradiction');
+	equal(solver.to_board(solver.solutions(candidates).next().value), 
+		solution, 'Solution');
+});
+
 test('Get candidates map', () =>{
 	const puz = 
         '4.....8.5.3..........7......2.....6.....8.4......1.......6.3.7.5..2..'+
@@ -220,6 +1110,87 @@ test('Get candidates', () =>{
 		]);
 });
 
+test('Player candidates', () =>{
+	const puz = 
+        '..3.2.6..9..3.5..1..18.64....81.29..7.......8..67.82....26.95..8..2.3'+
+        '..9..5.1.3..';
+	const solution = sudoku.solve(puz);
+
+	// Naive candidates are the digits not used by peers
+	const naive = sudoku.get_candidates(puz, {naive: true});
+	deepEqual(naive[0], ['45', '4578', '3', '49', '2', '147', '6', '5789', 
+		'57'], 'Naive');
+	deepEqual(sudoku.check_candidates(puz, naive), 
+		{valid: true, wrongly_eliminated: []}, 'Valid');
+
+	// Ruling out the digit of the solution is wrong
+	const marks = naive.map(row => row.slice());
+	marks[0][0] = marks[0][0].replace(solution[0], '');
+	deepEqual(sudoku.check_candidates(puz, marks), {valid: false, 
+		wrongly_eliminated: [{square: 'A1', digit: solution[0]}]}, 'Wrong');
+	const map = {};
+	sudoku.SQUARES.forEach((square, i) => map[square] = [].concat(...marks)[i]);
+	deepEqual(sudoku.check_candidates(puz, map), 
+		sudoku.check_candidates(puz, marks), 'Map');
+
+	// Without a unique solution, a digit is wrong if any solution has it
+	const empty = sudoku.get_candidates(sudoku.BLANK_BOARD, {naive: true});
+	empty[0][0] = '21';
+	deepEqual(sudoku.check_candidates(sudoku.BLANK_BOARD, empty)
+		.wrongly_eliminated.map(elimination => elimination.digit), 
+	['3', '4', '5', '6', '7', '8', '9'], 'Several solutions');
+
+	// The techniques go on from the marks
+	ok(sudoku.solve_logically(puz, {candidates: naive}).solved, 'Solved');
+	const reduced = naive.map(row => row.slice());
+	reduced[0][0] = solution[0];
+	deepEqual(sudoku.solve_logically(puz, {candidates: reduced}).steps[0]
+		.placements, [{square: 'A1', digit: solution[0]}], 'From the marks');
+	ok(!sudoku.solve_logically(puz, {candidates: marks}).solved, 'Wrong marks');
+	deepEqual(sudoku.hint(puz, {candidates: marks}), {mistakes: ['A1']}, 
+		'Hint');
+
+	// Marks of digits a peer has are dropped before any step
+	const easy = sudoku.generate('easy', {seed: 1});
+	const easy_solution = sudoku.solve(easy);
+	const unpruned = sudoku.board_string_to_grid(easy.split('').map(
+		val => val === sudoku.BLANK_CHAR ? sudoku.DIGITS : val));
+	const report = sudoku.solve_logically(easy, {candidates: unpruned});
+	equal(report.board, easy_solution, 'Unpruned marks');
+	for(const step of report.steps){
+		for(const placement of step.placements){
+			const i = sudoku.SQUARES.indexOf(placement.square);
+			equal(placement.digit, easy_solution[i], step.description);
+		}
+		for(const elimination of step.eliminations){
+			const i = sudoku.SQUARES.indexOf(elimination.square);
+			ok(elimination.digit !== easy_solution[i], step.description);
+		}
+	}
+	const hint = sudoku.hint(easy, {candidates: unpruned});
+	equal(hint.placements[0].digit, easy_solution[
+		sudoku.SQUARES.indexOf(hint.placements[0].square)], 'Unpruned hint');
+
+	// Squares the player hasn't marked yet aren't ruled out
+	const game = new Game(sudoku, easy);
+	const first = sudoku.SQUARES[easy.indexOf(sudoku.BLANK_CHAR)];
+	game.set_marks(first, easy_solution[sudoku.SQUARES.indexOf(first)]);
+	deepEqual(sudoku.check_candidates(easy, game.marks), 
+		{valid: true, wrongly_eliminated: []}, 'Partial marks');
+	ok(!sudoku.hint(easy, {candidates: game.marks}).mistakes, 
+		'Partial marks hint');
+	equal(sudoku.solve_logically(easy, {candidates: game.marks}).board, 
+		easy_solution, 'Partial marks solved');
+	game.set_marks(first, '');
+	ok(sudoku.solve_logically(easy, {candidates: game.marks}).steps.length, 
+		'Cleared marks');
+
+	throws(() =>{sudoku.check_candidates(puz, [['1']]);}, 
+		{name: 'InvalidOptionError', option: 'candidates'});
+	throws(() =>{sudoku.solve_logically(puz, {candidates: {A1: 'x'}});}, 
+		{name: 'InvalidOptionError', option: 'candidates'});
+});
+
 // Square relationships
 // ====================
 
@@ -407,6 +1378,145 @@ test('Board grid -> string', () =>{
 	);
 });
 
+test('File formats', () =>{
+	const puz = 
+        '..3.2.6..9..3.5..1..18.64....81.29..7.......8..67.82....26.95..8..2.3..9..5.1.3..';
+	const ss = 
+        '..3|.2.|6..\n9..|3.5|..1\n..1|8.6|4..\n-----------\n' +
+        '..8|1.2|9..\n7..|...|..8\n..6|7.8|2..\n-----------\n' +
+        '..2|6.9|5..\n8..|2.3|..9\n..5|.1.|3..';
+	const pencil_marks = 
+        '.----------------.----------------.----------------.\n' +
+        '| 6    7    48   | 5    9    2    | 1    3    48   |\n' +
+        '| 2    9    1    | 3    48   48   | 7    6    5    |\n' +
+        '| 48   3    5    | 1    6    7    | 9    2    48   |\n' +
+        ':----------------+----------------+----------------:\n' +
+        '| 9    2    6    | 7    1    3    | 48   5    48   |\n' +
+        '| 1    5    7    | 4    8    6    | 2    9    3    |\n' +
+        '| 3    48   48   | 2    5    9    | 6    7    1    |\n' +
+        ':----------------+----------------+----------------:\n' +
+        '| 5    6    2    | 9    3    48   | 48   1    7    |\n' +
+        '| 7    48   3    | 6    2    1    | 5    48   9    |\n' +
+        '| 48   1    9    | 8    7    5    | 3    48   6    |\n' +
+        '\'----------------\'----------------\'----------------\'';
+
+	// Write and read back every format
+	equal(sudoku.format_board(puz, 'ss'), ss, 'Simple Sudoku');
+	equal(sudoku.format_board(puz, 'zeros'), puz.replace(/\./g, '0'), 'Zeros');
+	for(const format of FORMATS.filter(format => format !== 'pencil-marks')){
+		const text = sudoku.format_board(puz, format);
+		equal(sudoku.detect_format(text), format, 'Detect ' + format);
+		equal(sudoku.parse_board(text), puz, 'Parse ' + format);
+	}
+
+	// Simple Sudoku, framed
+	const framed = '*-----------*\n' + ss.split('\n').map(line => 
+		line[0] === '-' ? '|---+---+---|' : '|' + line + '|').join('\n') + 
+        '\n*-----------*';
+	equal(sudoku.detect_format(framed), 'ss', 'Detect framed');
+	equal(sudoku.parse_board(framed), puz, 'Parse framed');
+
+	// SadMan Sudoku, with comments and sections
+	equal(sudoku.parse_board('#A Author\n#D Description\n' + 
+		sudoku.format_board(puz, 'sdk')), puz, 'SadMan comments');
+	equal(sudoku.parse_board('[Puzzle]\n' + sudoku.format_board(puz, 'sdk') + 
+		'\n[State]\n' + sudoku.format_board(puz, 'sdk')), puz, 
+	'SadMan sections');
+
+	// Pencil marks
+	equal(sudoku.detect_format(pencil_marks), 'pencil-marks', 'Detect marks');
+	equal(sudoku.parse_board(pencil_marks), 
+		'67.59213.2913..765.3516792.926713.5.1574862933..259671' +
+        '56293..177.36215.9.198753.6', 'Parse marks');
+	deepEqual(sudoku.parse_candidates(pencil_marks)[0], 
+		['6', '7', '48', '5', '9', '2', '1', '3', '48'], 'Parse candidates');
+	equal(sudoku.format_board(puz, 'pencil-marks').split('\n')[1], 
+		'| 45    4578    3  | 49   2      147 | 6   5789   57    |', 
+		'Naive candidates');
+	const candidates = sudoku.get_candidates(puz);
+	deepEqual(sudoku.parse_candidates(
+		sudoku.format_board(puz, 'pencil-marks', candidates)), candidates, 
+	'Candidates round trip');
+
+	// Files of puzzles, one per line
+	deepEqual(sudoku.parse_boards('# top95\n' + puz + '\n\n' + 
+		puz.replace(/\./g, '0') + '  # rated 1.2\n'), [puz, puz], 
+	'Puzzle per line');
+
+	// Useful errors
+	throws(() =>{sudoku.parse_board(puz.slice(1), 'line');}, 
+		/Expected 81 squares, found 80/, 'Size');
+	throws(() =>{sudoku.parse_board('x' + puz.slice(1));}, 
+		/Invalid "x" in square A1/, 'Character');
+	throws(() =>{sudoku.parse_boards(puz + '\n123');}, 
+		{name: 'ParseError', message: /^Line 2: /, line: 2}, 'Line');
+	throws(() =>{sudoku.parse_board('hello\nworld');}, /Unknown format/, 
+		'Unknown');
+	throws(() =>{sudoku.format_board(puz, 'xml');}, /Invalid format/, 
+		'Invalid format');
+});
+
+test('CLI', () =>{
+	const cli = (args, input) => spawnSync('node', 
+		[fileURLToPath(new URL('../bin/sudokujs.js', import.meta.url)), ...args], 
+		{input: input, encoding: 'utf8'});
+	const puz = 
+        '..3.2.6..9..3.5..1..18.64....81.29..7.......8..67.82....26.95..8..2.3..9..5.1.3..';
+
+	// Generate
+	const generated = cli(['generate', '-d', 'hard', '-n', '2', '-s', '7']);
+	const boards = generated.stdout.trim().split('\n');
+	equal(generated.status, 0, 'Generate exits 0');
+	equal(boards.length, 2, 'Count');
+	ok(boards.every(board => sudoku.count_solutions(board, 2) === 1), 
+		'Unique puzzles');
+	equal(cli(['generate', '-d', 'hard', '-n', '2', '-s', '7']).stdout, 
+		generated.stdout, 'Seeded');
+
+	// Solve boards from stdin, one per line
+	const solved = cli(['solve'], puz + '\n' + puz.replace(/\./g, '0') + '\n');
+	equal(solved.stdout, (sudoku.solve(puz) + '\n').repeat(2), 'Solve');
+	equal(solved.status, 0, 'Solve exits 0');
+
+	// Invalid boards go to stderr, with a non-zero exit code
+	const invalid = cli(['solve'], puz + '\n123\n');
+	equal(invalid.stdout, sudoku.solve(puz) + '\n', 'Valid boards solved');
+	ok(invalid.stderr.includes('stdin:2: '), 'Invalid board reported');
+	equal(invalid.status, 1, 'Invalid board exits 1');
+
+	// JSON, print and candidates
+	deepEqual(JSON.parse(cli(['rate', '--json'], puz).stdout), 
+		{board: puz, rate: sudoku.rate(puz)}, 'Rate as JSON');
+	equal(cli(['print'], puz).stdout, sudoku.format_board(puz, 'ss') + '\n\n', 
+		'Print');
+	equal(cli(['candidates'], puz).stdout, sudoku.format_board(puz, 
+		'pencil-marks', sudoku.get_candidates(puz)) + '\n\n', 'Candidates');
+	equal(cli(['unknown']).status, 2, 'Unknown command');
+	const missing = cli(['solve', 'missing.txt']);
+	ok(missing.stderr.startsWith('missing.txt: '), 'Missing file reported');
+	equal(missing.status, 1, 'Missing file exits 1');
+	const bogus = cli(['generate', '-f', 'bogus']);
+	equal(bogus.stderr, 'Invalid format: bogus\n', 'Invalid format reported');
+	equal(bogus.status, 2, 'Invalid format exits 2');
+	const bogus_difficulty = cli(['generate', '-d', 'bogus']);
+	equal(bogus_difficulty.stderr, 'Invalid difficulty: bogus\n', 
+		'Invalid difficulty reported');
+	equal(bogus_difficulty.status, 2, 'Invalid difficulty exits 2');
+	equal(cli(['generate', '-d', '30', '-s', '1']).status, 0, 
+		'Number of givens');
+	const bogus_style = cli(['print', '--style', 'bogus'], puz + '\n' + puz);
+	equal(bogus_style.stderr, 'Invalid style: bogus\n', 'Invalid style reported');
+	equal(bogus_style.status, 2, 'Invalid style exits 2');
+
+	// Bank as JSON Lines, and a summary on stderr
+	const bank = cli(['bank', '-n', '2', '-s', '1', 'easy', 'hard:1']);
+	const puzzles = bank.stdout.trim().split('\n').map(line => JSON.parse(line));
+	deepEqual(puzzles.map(puzzle => puzzle.tier), ['easy', 'easy', 'hard'], 
+		'Bank tiers');
+	ok(bank.stderr.includes('Total'), 'Bank summary');
+	equal(bank.status, 0, 'Bank exits 0');
+});
+
 test('Integration', () =>{
 	for(let i = 0; i < 10; ++i){
 		const board = sudoku.generate();
@@ -436,6 +1546,194 @@ test('Validate board', () =>{
 	ok(report_good);
 });
 
+test('Validate board report', () =>{
+	const puz = 
+        '..3.2.6..9..3.5..1..18.64....81.29..7.......8..67.82....26.95..8..2.3..9..5.1.3..';
+
+	// Every problem, as errors
+	const report = sudoku.validate_board('33x.' + puz.slice(4, 79) + 'y.', 
+		{report: true});
+	equal(report.valid, false, 'Invalid');
+	deepEqual(report.errors.map(error => error.name), 
+		['InvalidCharacterError', 'InvalidCharacterError', 
+			'ContradictoryBoardError', 'ContradictoryBoardError'], 'Every error');
+	deepEqual([report.errors[1].index, report.errors[1].square, 
+		report.errors[1].character], [79, 'I8', 'y'], 'Character fields');
+
+	const contradictory = sudoku.validate_board('3' + puz.slice(1), 
+		{report: true});
+	ok(contradictory.errors[0] instanceof ContradictoryBoardError, 
+		'Contradictory');
+	deepEqual([contradictory.errors[0].digit, contradictory.errors[0].squares],
+		['3', ['A1', 'A3']], 'Contradictory fields');
+	equal(contradictory.errors.length, 2, 'In the row and the box');
+
+	deepEqual(sudoku.validate_board('1' + '.'.repeat(80), {report: true}), 
+		{valid: false, errors: [new TooFewGivensError(
+			'Too few givens. Minimum givens is 17', {givens: 1, minimum: 17})]},
+		'Too few givens');
+	const unsolvable = sudoku.validate_board('5' + puz.slice(1), {report: true});
+	ok(unsolvable.errors[0] instanceof UnsolvableBoardError, 'Unsolvable');
+	deepEqual(sudoku.validate_board(puz, {report: true}), 
+		{valid: true, errors: []}, 'Valid');
+	equal(sudoku.validate_board('123', {report: true}).errors[0].expected, 81,
+		'Length');
+
+	// Thrown errors
+	throws(() =>{sudoku.solve('123');}, 
+		{name: 'InvalidLengthError', length: 3, expected: 81}, 'Length');
+	throws(() =>{sudoku.get_candidates('x' + puz.slice(1));}, 
+		{name: 'InvalidCharacterError', index: 0, square: 'A1'}, 'Character');
+	throws(() =>{sudoku.solve('1' + '.'.repeat(80));}, 
+		{name: 'TooFewGivensError', givens: 1, minimum: 17}, 'Too few givens');
+	throws(() =>{sudoku._get_square_vals_map('');}, InvalidLengthError);
+	throws(() =>{sudoku._rand_range();}, 
+		{name: 'InvalidOptionError', option: 'max'});
+	throws(() =>{new Sudoku({variant: 'nope'});}, 
+		{name: 'InvalidOptionError', option: 'variant', value: 'nope'});
+	throws(() =>{new Game(sudoku, puz).set('A3', '1');}, 
+		{name: 'InvalidMoveError', square: 'A3'});
+	try {
+		sudoku.solve('123');
+	} catch(error){
+		ok(error instanceof SudokuError && error instanceof Error, 'Error');
+		ok(error.stack, 'Stack trace');
+	}
+});
+
+test('Find conflicts', () =>{
+	const sudoku = new Sudoku();
+	const puz = '..3.2.6..9..3.5..1..18.64....81.29..7.......8..67.82....26.95..8..2.3..9..5.1.3..';
+
+	deepEqual(sudoku.find_conflicts(puz), 
+		{squares: [], duplicates: [], no_candidates: []}, 'None');
+
+	const duplicates = sudoku.find_conflicts('33' + puz.slice(2));
+	deepEqual(duplicates.duplicates, [
+		{digit: '3', squares: ['A1', 'A2', 'A3']},
+		{digit: '3', squares: ['A1', 'A2', 'A3']},
+	], 'Row and box');
+	deepEqual(duplicates.squares, 
+		['A1', 'A2', 'A3', 'D1', 'F9', 'G8', 'H2'], 'Squares involved');
+
+	const no_candidates = sudoku.find_conflicts('5' + puz.slice(1));
+	deepEqual(no_candidates.duplicates, [], 'No duplicates');
+	deepEqual(no_candidates.no_candidates, 
+		['A4', 'D9', 'E5', 'F2', 'G2', 'H3'], 'No candidates');
+
+	// A single blank whose peers have every digit
+	const solution = sudoku.solve(puz);
+	const board = '.' + solution.slice(1, 3) + solution[0] + solution.slice(4);
+	deepEqual(sudoku.find_conflicts(board).no_candidates, ['A1'], 'Blank');
+
+	const killer = new Sudoku({cages: [{sum: 3, squares: ['A1', 'B2']}]});
+	deepEqual(killer.find_conflicts('1.........1' + '.'.repeat(70)).duplicates, [
+		{digit: '1', squares: ['A1', 'B2']},
+		{digit: '1', squares: ['A1', 'B2']},
+	], 'Box and cage');
+
+	throws(() =>{sudoku.find_conflicts('123');}, InvalidLengthError);
+});
+
+test('Transform', () =>{
+	const puz = '..3.2.6..9..3.5..1..18.64....81.29..7.......8..67.82....26.95..8..2.3..9..5.1.3..';
+
+	// Every kind of transformation
+	equal(sudoku.transform(puz, {rotate: 180}), [...puz].reverse().join(''), 
+		'Rotate 180');
+	equal(sudoku.transform(puz, {rotate: 90, transpose: true}), 
+		sudoku.transform(puz, {rows: [8, 7, 6, 5, 4, 3, 2, 1, 0]}), 
+		'Rotate and transpose is a mirror');
+	equal(sudoku.transform(puz, {rows: [3, 4, 5, 0, 1, 2, 6, 7, 8]}).slice(0, 27), 
+		puz.slice(27, 54), 'Swap bands');
+	equal(sudoku.transform(puz, {digits: '923456781'}).slice(0, 9), 
+		'..3.2.6..', 'Relabel');
+	equal(sudoku.transform(puz, {digits: '923456781'})[9], '1', 'Relabel 9');
+	for(let i = 0; i < 5; ++i){
+		const variant = sudoku.transform(puz);
+		equal(sudoku.count_solutions(variant, 2), 1, 'Random stays unique');
+		equal(sudoku.rate(variant).rating, sudoku.rate(puz).rating, 
+			'Random keeps rating');
+	}
+
+	// Canonical form
+	const canonical = sudoku.canonicalize(puz);
+	equal(sudoku.transform(puz, canonical.transform), canonical.board, 
+		'Canonical transform');
+	equal(sudoku.canonicalize(sudoku.transform(puz)).board, canonical.board, 
+		'Same canonical form');
+	ok(sudoku.are_equivalent(puz, sudoku.transform(puz, {rotate: 270})), 
+		'Equivalent');
+	ok(!sudoku.are_equivalent(puz, sudoku.generate('hard')), 'Not equivalent');
+	const small = new Sudoku({box_rows: 2, box_cols: 3});
+	const small_board = small.generate('hard');
+	equal(small.canonicalize(small.transform(small_board)).board, 
+		small.canonicalize(small_board).board, '6x6');
+
+	throws(() =>{sudoku.transform(puz, {rows: [1, 2, 3, 0, 4, 5, 6, 7, 8]});}, 
+		{name: 'InvalidOptionError', option: 'rows'}, 'Rows across bands');
+	throws(() =>{small.transform(small_board, {transpose: true});}, 
+		{name: 'InvalidOptionError', option: 'transpose'}, 'Not square boxes');
+	throws(() =>{new Sudoku({variant: 'x'}).canonicalize(puz);}, 
+		{name: 'InvalidOptionError'}, 'Variant');
+});
+
+test('Render', () =>{
+	const puz = '52...6.........7.13...........4..8..6......5...........418.........3..2...87.....';
+
+	// Text
+	const plain = sudoku.render(puz);
+	equal(plain.split('\n')[0], '5 2 .   . . 6   . . .', 'Plain');
+	equal(plain.split('\n')[3], '', 'Plain box gap');
+	const ascii = sudoku.render(puz, {style: 'ascii'}).split('\n');
+	deepEqual([ascii[0], ascii[3], ascii.length], 
+		['5 2 . | . . 6 | . . .', '------+-------+------', 11], 'ASCII');
+	const unicode = sudoku.render(puz, {style: 'unicode', highlight: ['A1']});
+	deepEqual(unicode.split('\n').slice(0, 2), 
+		['┌──────────┬──────────┬──────────┐', 
+			'│ 5* 2  .  │ .  .  6  │ .  .  .  │'], 'Unicode');
+	const highlighted = sudoku.render(puz, {highlight: ['A2']}).split('\n');
+	deepEqual(highlighted.slice(0, 2), ['5  2* .    .  .  6    .  .  .', 
+		'.  .  .    .  .  .    7  .  1'], 'Highlight keeps the columns');
+	const marks = sudoku.render(puz, {style: 'ascii', 
+		candidates: sudoku.get_candidates(puz)}).split('\n');
+	deepEqual(marks.slice(0, 3), ['        ... | 1.3 1..     | ..3 ..3 ..3', 
+		' 5   2  4.. | ... 4..  6  | 4.. 4.. 4..', 
+		'        7.9 | ..9 789     | ..9 .89 ..9'], 'Pencil marks');
+
+	// HTML and SVG
+	const game = new Game(sudoku, puz);
+	game.set('A3', '4');
+	game.set_marks('A4', '19');
+	const html = game.render({style: 'html', highlight: ['A1']});
+	ok(html.includes('<td class="given highlight" aria-label="A1, given 5, ' +
+        'highlighted">5</td>'), 'HTML given');
+	ok(html.includes('<td class="entry box-right" aria-label="A3, entry 4">4' +
+        '</td>'), 'HTML entry');
+	ok(html.includes('aria-label="A4, blank, candidates 1 9"><div ' + 
+        'class="marks"><span>1</span><span></span>'), 'HTML pencil marks');
+	equal((html.match(/<tr>/g) || []).length, 9, 'HTML rows');
+	const svg = game.render({style: 'svg'});
+	ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"'), 'SVG');
+	ok(/<text class="entry"[^>]*>4<\/text>/.test(svg), 'SVG entry');
+	ok(/<text class="given"[^>]*font-weight="bold"[^>]*>5<\/text>/.test(svg), 
+		'SVG given');
+	equal((svg.match(/class="mark"/g) || []).length, 2, 'SVG pencil marks');
+	equal((svg.match(/stroke-width="3"/g) || []).length, 37, 'SVG box lines');
+
+	const log = console.log;
+	const logged = [];
+	console.log = text => logged.push(text);
+	try {
+		equal(sudoku.print_board(puz), plain, 'Print returns the text');
+	} finally {
+		console.log = log;
+	}
+	deepEqual(logged, [plain], 'Print logs the text');
+	throws(() =>{sudoku.render(puz, {style: 'pdf'});}, 
+		{name: 'InvalidOptionError', option: 'style'});
+});
+
 test('Cross product', () =>{
 
 	// Simple case